@@ -0,0 +1,302 @@
+// access.js
+const { pickHighestTier, tierMatchesItem } = require("./tiers");
+
+/*
+  Access rules, with no Discord, Shopify or storage in sight: index.js (and the tests)
+  hand in tiers, line items and records, and get decisions back.
+
+  tiers: the active tier list from tiers.js (sorted high → low)
+  audit: a guild's audit settings ({ graceDays, paymentGraceDays, ... }, see guilds.js)
+*/
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+function daysBetween(now, past) {
+  return Math.floor((now.getTime() - past.getTime()) / DAY_MS);
+}
+
+/* =======================
+   TIERS
+======================= */
+// Shared by /verify and webhook sync: tier + audit fields from Shopify line items
+function resolveAccessFromItems(tiers, items) {
+  const titles = items.map((i) => i.title);
+  const tier = pickHighestTier(items, tiers);
+
+  // Subscription ONLY for the matched tier line item
+  const isSubscription = !!tier && items.some((li) =>
+    tierMatchesItem(tier, li) && li.isSubscription === true
+  );
+
+  // lastPaidAt: newest paidAt of the line items that grant the tier
+  // (an unrelated later purchase must not extend a lapsed subscription)
+  const tierItems = tier
+    ? items.filter((li) => tierMatchesItem(tier, li) && (!isSubscription || li.isSubscription))
+    : items;
+  const paidDates = tierItems.map((x) => x.paidAt).filter(Boolean).map((d) => new Date(d).getTime());
+  const newestPaid = paidDates.length ? new Date(Math.max(...paidDates)) : null;
+  const lastPaidAt = newestPaid && !Number.isNaN(newestPaid.getTime())
+    ? newestPaid.toISOString()
+    : null;
+
+  return { titles, tier, isSubscription, lastPaidAt };
+}
+
+// 0 = highest tier; roles that aren't a tier rank last
+function tierRank(tiers, roleName) {
+  const i = tiers.findIndex((t) => t.role === roleName);
+  return i === -1 ? Infinity : i;
+}
+
+function highestRole(tiers, roleNames) {
+  const known = roleNames.filter((r) => Number.isFinite(tierRank(tiers, r)));
+  known.sort((a, b) => tierRank(tiers, a) - tierRank(tiers, b));
+  return known[0] || null;
+}
+
+/* =======================
+   SUBSCRIPTIONS
+======================= */
+// The contract paying for this tier: prefer ACTIVE, else the newest one
+function pickTierContract(contracts, tier) {
+  const matching = contracts.filter((c) => c.lines.some((l) => tierMatchesItem(tier, l)));
+  return matching.find((c) => c.status === "ACTIVE") || matching[0] || null;
+}
+
+// Contract state as stored on a record
+function contractFields(contract, now = new Date()) {
+  return {
+    contractId: contract.id,
+    contractStatus: contract.status,
+    nextBillingDate: contract.nextBillingDate,
+    lastPaymentStatus: contract.lastPaymentStatus,
+    contractCheckedAt: now.toISOString(),
+  };
+}
+
+/**
+ * Access decision from contract state.
+ * Returns { action: "keep" | "grace" | "downgrade", reason, paymentFailedAt }
+ */
+function decideContractAccess(contract, paymentFailedAt, now, paymentGraceDays) {
+  const status = contract.status;
+
+  if (status === "ACTIVE" && contract.lastPaymentStatus !== "FAILED") {
+    return { action: "keep", reason: "contract_active", paymentFailedAt: null };
+  }
+
+  if (status === "CANCELLED") {
+    // Cancelled mid-cycle: keep access until the period they already paid for ends
+    const paidThrough = contract.nextBillingDate ? new Date(contract.nextBillingDate) : null;
+    if (paidThrough && paidThrough > now) {
+      return {
+        action: "keep",
+        reason: "contract_cancelled_paid_through",
+        paymentFailedAt: null,
+        accessEndsAt: paidThrough,
+        cycleKey: contract.nextBillingDate,
+      };
+    }
+    return { action: "downgrade", reason: "contract_cancelled", paymentFailedAt: null };
+  }
+
+  if (status === "EXPIRED" || status === "PAUSED") {
+    return { action: "downgrade", reason: `contract_${status.toLowerCase()}`, paymentFailedAt: null };
+  }
+
+  if (status === "ACTIVE" || status === "FAILED") {
+    // Failed billing: grace window counted from when we first saw the failure
+    const since = paymentFailedAt ? new Date(paymentFailedAt) : now;
+    const failedAt = Number.isNaN(since.getTime()) ? now : since;
+    const days = daysBetween(now, failedAt);
+    return {
+      action: days >= paymentGraceDays ? "downgrade" : "grace",
+      reason: `payment_failed_${days}d`,
+      paymentFailedAt: failedAt.toISOString(),
+      accessEndsAt: new Date(failedAt.getTime() + paymentGraceDays * DAY_MS),
+      cycleKey: failedAt.toISOString(),
+    };
+  }
+
+  // Unknown status: don't take access away
+  return { action: "keep", reason: `contract_${String(status).toLowerCase()}`, paymentFailedAt: paymentFailedAt || null };
+}
+
+/**
+ * Day-35 rule for subscriptions without a contract: days since the last paid order.
+ * A missing or unreadable lastPaidAt gives action "skip" (never take access away on bad data).
+ */
+function decidePaidDateAccess(lastPaidAt, now, graceDays) {
+  if (!lastPaidAt) return { action: "skip", reason: "missing_lastPaidAt", paymentFailedAt: null };
+
+  const lastPaidDate = new Date(lastPaidAt);
+  if (Number.isNaN(lastPaidDate.getTime())) {
+    return { action: "skip", reason: "invalid_lastPaidAt", paymentFailedAt: null };
+  }
+
+  const daysSincePaid = daysBetween(now, lastPaidDate);
+  if (daysSincePaid >= graceDays) {
+    return { action: "downgrade", reason: `overdue_${daysSincePaid}d`, paymentFailedAt: null, daysSincePaid };
+  }
+  return {
+    action: "keep",
+    reason: "paid_recently",
+    paymentFailedAt: null,
+    daysSincePaid,
+    accessEndsAt: new Date(lastPaidDate.getTime() + graceDays * DAY_MS),
+    cycleKey: lastPaidAt,
+  };
+}
+
+// What the audit does with a subscription record: contract state when we have one, else paid dates
+function decideSubscriptionAccess(rec, contract, now, audit) {
+  return contract
+    ? decideContractAccess(contract, rec.paymentFailedAt, now, audit.paymentGraceDays)
+    : decidePaidDateAccess(rec.lastPaidAt, now, audit.graceDays);
+}
+
+// Does this record still pay for its tier? (one-time = yes, subscription = contract / not overdue)
+function recordBacksTier(rec, now, audit) {
+  if (!rec?.tier) return false;
+  if (rec.isSubscription !== true) return true;
+
+  if (rec.contractId && rec.contractStatus) {
+    const contract = {
+      status: rec.contractStatus,
+      lastPaymentStatus: rec.lastPaymentStatus,
+      nextBillingDate: rec.nextBillingDate,
+    };
+    return decideContractAccess(contract, rec.paymentFailedAt, now, audit.paymentGraceDays).action !== "downgrade";
+  }
+
+  // Same safety rule as the audit: can't judge → don't take access away
+  return decidePaidDateAccess(rec.lastPaidAt, now, audit.graceDays).action !== "downgrade";
+}
+
+// Highest tier backed by any of a member's records (null if none)
+function effectiveRole(tiers, records, now, audit) {
+  return highestRole(tiers, records.filter((r) => recordBacksTier(r, now, audit)).map((r) => r.tier));
+}
+
+/**
+ * An email stopped backing its tier: what does the member end up with?
+ * otherRecords: the member's other linked emails. Returns { keepRole, covered, grantedRole }.
+ */
+function decideDowngrade(tiers, baseRole, otherRecords, now, audit) {
+  const keepRole = effectiveRole(tiers, otherRecords, now, audit);
+  const covered = !!keepRole && keepRole !== baseRole;
+  return { keepRole, covered, grantedRole: covered ? keepRole : baseRole };
+}
+
+/**
+ * Tier to restore when a linked member rejoins the server, by the audit's rules.
+ * contracts: Map email → live contract (null = none found) for the subscriptions we could check;
+ * records missing from it are judged on their stored state.
+ */
+function decideRejoinRole(tiers, records, contracts, now, audit) {
+  const backed = records.filter((rec) => {
+    if (!rec.tier) return false;
+    if (rec.isSubscription !== true || !contracts.has(rec.email)) return recordBacksTier(rec, now, audit);
+    return decideSubscriptionAccess(rec, contracts.get(rec.email), now, audit).action !== "downgrade";
+  });
+  return highestRole(tiers, backed.map((r) => r.tier));
+}
+
+/* =======================
+   PAYMENT REVOCATIONS
+   (refunds, voids, cancellations, chargebacks)
+======================= */
+const REVOKED_LABELS = {
+  refunded: "refunded",
+  voided: "voided",
+  cancelled: "cancelled",
+  chargeback: "charged back / disputed",
+};
+
+const splitItems = (items) => ({
+  paid: items.filter((i) => !i.revokedReason),
+  revoked: items.filter((i) => i.revokedReason),
+});
+
+/**
+ * Did refunds/cancellations/chargebacks take away the tier stored on an email?
+ * paidTier: the tier its still-paid items match now. Returns { items, reasons } or null.
+ */
+function findRevocation(tiers, storedTier, paidTier, revokedItems) {
+  const tier = tiers.find((t) => t.role === storedTier);
+  if (!tier) return null;
+  if (paidTier && tierRank(tiers, paidTier.role) <= tierRank(tiers, storedTier)) return null; // still backed
+
+  const items = revokedItems.filter((i) => tierMatchesItem(tier, i));
+  if (!items.length) return null;
+  return { items, reasons: [...new Set(items.map((i) => i.revokedReason))] };
+}
+
+// A tier an admin set with /link stands until the orders back a higher one
+const keepsManualTier = (tiers, rec, paidRole) => !!rec?.manualTier && highestRole(tiers, [rec.tier, paidRole]) !== paidRole;
+
+/* =======================
+   VERIFY
+======================= */
+// One bare address and nothing else. Anything with spaces, separators, brackets or quotes
+// could read as a search filter to Shopify and as a different recipient list to the mailer.
+const PLAIN_EMAIL = /^[^\s@,:;<>()[\]"'\\]+@[^\s@,:;<>()[\]"'\\]+\.[^\s@,:;<>()[\]"'\\]+$/;
+const isPlainEmail = (email) => typeof email === "string" && email.length <= 254 && PLAIN_EMAIL.test(email);
+
+// The email is linked, but to another Discord account
+const isLinkedElsewhere = (rec, discordUserId) => !!rec && rec.discordUserId !== discordUserId;
+
+/**
+ * What /verify does once the member proved they own the email.
+ * items: every line item for the email (getOrderLineItemsByEmail), revoked ones included.
+ * userRecords: the member's linked emails (may include this one).
+ *
+ * outcome: "linked_elsewhere" | "no_paid_orders" | "tier_mismatch" | "granted"
+ * Every outcome but "linked_elsewhere" has { items (paid), revoked, titles, tier, lostToRevocation };
+ * "granted" also carries { isSubscription, lastPaidAt, beforeRole, grantedRole, otherRecords }.
+ */
+function decideVerification({ tiers, audit, email, discordUserId, linkedRecord, userRecords = [], items, now = new Date() }) {
+  if (isLinkedElsewhere(linkedRecord, discordUserId)) return { outcome: "linked_elsewhere" };
+
+  const { paid, revoked } = splitItems(items);
+  const { titles, tier, isSubscription, lastPaidAt } = resolveAccessFromItems(tiers, paid);
+
+  // A refund/chargeback is why they get less than their orders suggest
+  const revokedTier = pickHighestTier(revoked, tiers);
+  const lostToRevocation = !!revokedTier && (!tier || tierRank(tiers, revokedTier.role) < tierRank(tiers, tier.role));
+
+  const base = { items: paid, revoked, titles, tier, lostToRevocation };
+  if (!titles.length) return { ...base, outcome: "no_paid_orders" };
+  if (!tier) return { ...base, outcome: "tier_mismatch" };
+
+  // Highest tier across this email + every other email linked to this member
+  const beforeRole = effectiveRole(tiers, userRecords, now, audit);
+  const otherRecords = userRecords.filter((r) => r.email !== email);
+  const grantedRole = effectiveRole(tiers, [...otherRecords, { tier: tier.role }], now, audit);
+
+  return { ...base, outcome: "granted", isSubscription, lastPaidAt, beforeRole, grantedRole, otherRecords };
+}
+
+module.exports = {
+  DAY_MS,
+  daysBetween,
+  resolveAccessFromItems,
+  tierRank,
+  highestRole,
+  pickTierContract,
+  contractFields,
+  decideContractAccess,
+  decidePaidDateAccess,
+  decideSubscriptionAccess,
+  recordBacksTier,
+  effectiveRole,
+  decideDowngrade,
+  decideRejoinRole,
+  REVOKED_LABELS,
+  splitItems,
+  findRevocation,
+  keepsManualTier,
+  isPlainEmail,
+  isLinkedElsewhere,
+  decideVerification,
+};
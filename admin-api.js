@@ -0,0 +1,215 @@
+// admin-api.js
+const crypto = require("crypto");
+const express = require("express");
+
+const logger = require("./logger");
+const { toCsv } = require("./csv");
+const { isPlainEmail } = require("./access");
+
+/*
+  JSON API for support tooling. Every request needs `Authorization: Bearer <token>`.
+  ADMIN_API_TOKENS="alice:token1,helpdesk:token2" (the name shows up in logs + history;
+  a token without a name is called "api").
+
+  GET  /guilds
+  GET  /guilds/:guildId/records?q=&limit=&offset=
+  GET  /guilds/:guildId/records/export.csv
+  GET  /guilds/:guildId/records/email/:email
+  GET  /guilds/:guildId/records/discord/:discordUserId
+  POST /guilds/:guildId/records/email/:email/recheck   { apply?: boolean }
+  POST /guilds/:guildId/records/email/:email/unlink    { reason, stripRoles? }
+*/
+
+const RECORD_CSV_COLUMNS = [
+  "email",
+  "discordUserId",
+  "userTag",
+  "tier",
+  "isSubscription",
+  "lastPaidAt",
+  "contractId",
+  "contractStatus",
+  "nextBillingDate",
+  "paymentFailedAt",
+  "updatedAt",
+];
+
+const MAX_PAGE_SIZE = 200;
+
+function parseApiTokens(spec) {
+  return String(spec || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const i = entry.indexOf(":");
+      return i === -1
+        ? { name: "api", token: entry }
+        : { name: entry.slice(0, i).trim() || "api", token: entry.slice(i + 1).trim() };
+    })
+    .filter((t) => t.token);
+}
+
+const digest = (s) => crypto.createHash("sha256").update(String(s)).digest();
+
+// Compare hashes so every check takes the same time whatever the token length
+function findClient(tokens, presented) {
+  if (!presented) return null;
+  const given = digest(presented);
+  let match = null;
+  for (const t of tokens) {
+    if (crypto.timingSafeEqual(given, digest(t.token))) match = t;
+  }
+  return match;
+}
+
+function matchesQuery(rec, q) {
+  return [rec.email, rec.discordUserId, rec.userTag, rec.tier].some((v) => v && String(v).toLowerCase().includes(q));
+}
+
+/**
+ * Express router for the admin API.
+ * guilds: the guild registry. actions: { checkStatus, recheck, unlink, log } from index.js,
+ * so the API runs exactly the same code as the slash commands.
+ */
+function createAdminApiRouter({ tokens, guilds, actions }) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    const header = req.get("Authorization") || "";
+    const client = findClient(tokens, header.startsWith("Bearer ") ? header.slice(7).trim() : "");
+    if (!client) {
+      logger.warn({ event: "admin_api_unauthorized", method: req.method, path: req.path, ip: req.ip });
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    req.apiClient = client.name;
+    next();
+  });
+
+  router.use(express.json());
+
+  router.get("/guilds", (req, res) => {
+    res.json({ guilds: guilds.list().map((g) => ({ guildId: g.guildId, name: g.name })) });
+  });
+
+  router.param("guildId", (req, res, next, guildId) => {
+    req.ctx = guilds.get(guildId);
+    if (!req.ctx) return res.status(404).json({ error: "unknown_guild" });
+    next();
+  });
+
+  router.param("email", (req, res, next, email) => {
+    req.email = String(email).trim().toLowerCase();
+    if (!isPlainEmail(req.email)) return res.status(400).json({ error: "invalid_email" });
+    next();
+  });
+
+  router.get("/guilds/:guildId/records", async (req, res) => {
+    const q = String(req.query.q || "").trim().toLowerCase();
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+    const all = req.ctx.links.listAll();
+    const matching = q ? all.filter((r) => matchesQuery(r, q)) : all;
+
+    // The search term is usually (part of) a customer email: log it as one so MASK_EMAILS applies,
+    // otherwise only say that there was one
+    await actions.log(req.ctx, "api_list", {
+      apiClient: req.apiClient,
+      count: matching.length,
+      ...(q.includes("@") ? { email: q } : {}),
+      message: q ? `Filtered by search (${q.length} chars)` : undefined,
+    });
+    res.json({ total: matching.length, offset, limit, records: matching.slice(offset, offset + limit) });
+  });
+
+  router.get("/guilds/:guildId/records/export.csv", async (req, res) => {
+    const all = req.ctx.links.listAll();
+    await actions.log(req.ctx, "api_export", { apiClient: req.apiClient, count: all.length, message: "CSV export" });
+
+    res.type("text/csv");
+    res.attachment(`email-map-${req.ctx.guildId}.csv`);
+    res.send(toCsv(RECORD_CSV_COLUMNS, all));
+  });
+
+  router.get("/guilds/:guildId/records/email/:email", async (req, res) => {
+    const rec = req.ctx.links.getByEmail(req.email);
+    await actions.log(req.ctx, "api_lookup", { apiClient: req.apiClient, email: req.email, count: rec ? 1 : 0 });
+    if (!rec) return res.status(404).json({ error: "not_found" });
+    res.json({ record: rec });
+  });
+
+  router.get("/guilds/:guildId/records/discord/:discordUserId", async (req, res) => {
+    const records = req.ctx.links.getByDiscordUser(req.params.discordUserId);
+    await actions.log(req.ctx, "api_lookup", { apiClient: req.apiClient, targetUserId: req.params.discordUserId, count: records.length });
+    if (!records.length) return res.status(404).json({ error: "not_found" });
+    res.json({ records });
+  });
+
+  // Same check as /status; apply=true also re-syncs the linked member's roles
+  router.post("/guilds/:guildId/records/email/:email/recheck", async (req, res) => {
+    const apply = req.body?.apply === true;
+    const status = await actions.checkStatus(req.ctx, req.email);
+
+    let applied = null;
+    if (apply) {
+      const rec = req.ctx.links.getByEmail(req.email);
+      if (!rec?.discordUserId) return res.status(404).json({ error: "not_linked", status });
+      // The stored record may only hold the hashed key: re-check with the address we were given
+      applied = await actions.recheck(req.ctx, { ...rec, email: req.email }, req.apiClient);
+      if (!applied) return res.status(502).json({ error: "sync_failed", status });
+    }
+
+    await actions.log(req.ctx, "api_recheck", {
+      apiClient: req.apiClient,
+      email: req.email,
+      matchedRole: status.tier?.role ?? null,
+      grantedRole: applied?.grantedRole,
+      subscription: status.subscription,
+      count: status.items.length,
+      message: apply ? "Re-check + apply" : "Re-check only",
+    });
+
+    res.json({
+      email: req.email,
+      matchedRole: status.tier?.role ?? null,
+      subscription: status.subscription,
+      items: status.items,
+      applied,
+    });
+  });
+
+  router.post("/guilds/:guildId/records/email/:email/unlink", async (req, res) => {
+    const reason = String(req.body?.reason || "").trim();
+    const stripRoles = req.body?.stripRoles === true;
+    if (!reason) return res.status(400).json({ error: "reason_required" });
+
+    const rec = req.ctx.links.getByEmail(req.email);
+    if (!rec) return res.status(404).json({ error: "not_found" });
+
+    const { refreshed } = await actions.unlink(req.ctx, rec, req.apiClient, { reason, stripRoles });
+
+    await actions.log(req.ctx, "api_unlink", {
+      apiClient: req.apiClient,
+      email: req.email,
+      targetUserId: rec.discordUserId,
+      grantedRole: refreshed?.role,
+      reason,
+      message: stripRoles
+        ? (refreshed ? `Unlinked; roles recomputed (was ${rec.tier || "unknown"})` : "Unlinked; member not in guild, roles untouched")
+        : `Unlinked; roles untouched (was ${rec.tier || "unknown"})`,
+    }, "WARN");
+
+    res.json({ unlinked: req.email, discordUserId: rec.discordUserId, role: refreshed?.role ?? null });
+  });
+
+  router.use((err, req, res, next) => {
+    logger.error({ event: "admin_api_error", method: req.method, path: req.path, error: err?.message || String(err) });
+    if (res.headersSent) return next(err);
+    res.status(500).json({ error: "internal_error" });
+  });
+
+  return router;
+}
+
+module.exports = { createAdminApiRouter, parseApiTokens, findClient, RECORD_CSV_COLUMNS };
@@ -0,0 +1,77 @@
+// audit-digest.js
+const { toCsv } = require("./csv");
+
+/*
+  One subscription audit run, summed up (runSubscriptionAudit in index.js).
+
+  Per-member events (skips, grace, overdue, downgrades, reminders, errors) are collected here
+  instead of each getting its own log embed. At audit_end the bot posts one embed with the
+  counts by outcome and the most important entries, plus this CSV with every entry.
+*/
+
+const LEVEL_RANK = { ERROR: 0, WARN: 1, SUCCESS: 2, INFO: 3 };
+const LEVEL_ICON = { ERROR: "❌", WARN: "⚠️", SUCCESS: "✅", INFO: "ℹ️" };
+
+const DIGEST_COLUMNS = [
+  "at", "level", "event", "email", "userId", "userTag", "daysSincePaid", "lastPaidAt",
+  "contractId", "grantedRole", "matchedRole", "dryRun", "detail",
+];
+
+const rankOf = (level) => LEVEL_RANK[level] ?? LEVEL_RANK.INFO;
+
+/**
+ * { maskEmail } (optional, applied to every stored email) → digest:
+ *   add(event, payload, level)   payload = the postBotLog payload the event used to get
+ *   entries                      in the order they happened
+ *   counts()                     [[event, n]], most frequent first
+ *   top(n)                       ERROR, then WARN, SUCCESS, INFO; oldest first within a level
+ *   level()                      the worst level seen (INFO when empty)
+ *   toCsv()
+ */
+function createAuditDigest({ maskEmail = (email) => email } = {}) {
+  const entries = [];
+
+  function add(event, payload = {}, level = "INFO") {
+    const revoked = payload.items?.map((i) => i.title).join(", ");
+    entries.push({
+      at: new Date().toISOString(),
+      level: String(level).toUpperCase(),
+      event,
+      email: payload.email ? maskEmail(payload.email) : "",
+      userId: payload.userId || "",
+      userTag: payload.userTag || "",
+      daysSincePaid: payload.daysSincePaid ?? "",
+      lastPaidAt: payload.lastPaidAt || "",
+      contractId: payload.contractId || "",
+      grantedRole: payload.grantedRole || "",
+      matchedRole: payload.matchedRole || "",
+      dryRun: payload.dryRun ?? "",
+      detail: [payload.error || payload.message, payload.reason, revoked].filter(Boolean).join(" • "),
+    });
+  }
+
+  function counts() {
+    const byEvent = new Map();
+    for (const e of entries) byEvent.set(e.event, (byEvent.get(e.event) || 0) + 1);
+    return [...byEvent].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  }
+
+  const top = (n) => entries
+    .map((e, i) => ({ e, i }))
+    .sort((a, b) => rankOf(a.e.level) - rankOf(b.e.level) || a.i - b.i)
+    .slice(0, n)
+    .map(({ e }) => e);
+
+  const level = () => entries.reduce((worst, e) => (rankOf(e.level) < rankOf(worst) ? e.level : worst), "INFO");
+
+  return { entries, add, counts, top, level, toCsv: () => toCsv(DIGEST_COLUMNS, entries) };
+}
+
+// One line per entry for the digest embed
+function formatDigestEntry(e, maxLength = 160) {
+  const who = e.userId ? `<@${e.userId}>` : e.userTag;
+  const line = [`${LEVEL_ICON[e.level] || LEVEL_ICON.INFO} \`${e.event}\``, e.email, who, e.detail].filter(Boolean).join(" • ");
+  return line.length > maxLength ? `${line.slice(0, maxLength - 1)}…` : line;
+}
+
+module.exports = { createAuditDigest, formatDigestEntry, DIGEST_COLUMNS };
@@ -0,0 +1,93 @@
+// backfill.js
+const { parseCsv, toCsv } = require("./csv");
+const { isPlainEmail } = require("./access");
+
+/*
+  Bulk backfill of customers who bought before the bot existed (/backfill).
+
+  Input: a CSV of `email,discordUserId` or `email,username`. The header is optional; when present,
+  the email and member columns are found by name, so a Shopify customer export with an added
+  Discord column works too. Member cells may be an ID, a <@mention> or a username.
+
+  index.js resolves the members, runs the /verify tier lookup per row and writes the records.
+*/
+
+const MAX_BACKFILL_ROWS = 2000;
+
+const EMAIL_HEADERS = ["email", "e-mail", "customer email", "email address"];
+const MEMBER_HEADERS = [
+  "discorduserid", "discord_user_id", "discord user id", "discord id", "discordid", "user id", "userid",
+  "username", "discord username", "discord", "discord tag", "member",
+];
+
+const SNOWFLAKE = /^\d{17,20}$/;
+const MENTION = /^<@!?(\d{17,20})>$/;
+
+const normHeader = (cell) => String(cell || "").trim().toLowerCase();
+
+// "123…" / "<@123…>" → { discordUserId }, anything else → { username } (a leading @ is dropped)
+function parseMemberCell(cell) {
+  const value = String(cell || "").trim();
+  if (!value) return {};
+  if (SNOWFLAKE.test(value)) return { discordUserId: value };
+  const mention = MENTION.exec(value);
+  if (mention) return { discordUserId: mention[1] };
+  return { username: value.replace(/^@/, "") };
+}
+
+/**
+ * CSV text → { rows, errors }.
+ * rows: [{ row, email, discordUserId?, username? }] (row = 1-based line in the file)
+ * errors: [{ row, email, error }] for lines that can't be used (bad email, no member, duplicate email)
+ * Throws when the file has no usable columns or more than MAX_BACKFILL_ROWS rows.
+ */
+function parseBackfillCsv(text) {
+  const lines = parseCsv(text)
+    .map((cells, i) => ({ row: i + 1, cells: cells.map((c) => c.trim()) }))
+    .filter(({ cells }) => cells.some(Boolean));
+  if (!lines.length) throw new Error("The file is empty.");
+
+  // Header row: anything whose first line has no email in it
+  let emailCol = 0;
+  let memberCol = 1;
+  const header = lines[0].cells.some((c) => c.includes("@") && !MENTION.test(c)) ? null : lines.shift();
+  if (header) {
+    const names = header.cells.map(normHeader);
+    emailCol = names.findIndex((n) => EMAIL_HEADERS.includes(n));
+    memberCol = names.findIndex((n) => MEMBER_HEADERS.includes(n));
+    if (emailCol === -1 || memberCol === -1) {
+      throw new Error("Couldn’t find an email column and a discordUserId/username column in the header.");
+    }
+  }
+
+  if (lines.length > MAX_BACKFILL_ROWS) {
+    throw new Error(`Too many rows (${lines.length}); the limit is ${MAX_BACKFILL_ROWS} per file.`);
+  }
+
+  const rows = [];
+  const errors = [];
+  const seen = new Set();
+  for (const { row, cells } of lines) {
+    const email = (cells[emailCol] || "").toLowerCase();
+    const member = parseMemberCell(cells[memberCol]);
+
+    if (!isPlainEmail(email)) errors.push({ row, email, error: "invalid_email" });
+    else if (!member.discordUserId && !member.username) errors.push({ row, email, error: "missing_member" });
+    else if (seen.has(email)) errors.push({ row, email, error: "duplicate_email" });
+    else rows.push({ row, email, ...member });
+
+    seen.add(email);
+  }
+
+  return { rows, errors };
+}
+
+const BACKFILL_CSV_COLUMNS = [
+  "row", "email", "input", "discordUserId", "userTag", "result", "tier", "isSubscription", "lastPaidAt",
+  "contractId", "grantedRole", "note",
+];
+
+// results: [{ row, email, input, discordUserId, userTag, result, tier, ... }] in any order
+const backfillToCsv = (results) => toCsv(BACKFILL_CSV_COLUMNS, [...results].sort((a, b) => a.row - b.row));
+
+module.exports = { parseBackfillCsv, parseMemberCell, backfillToCsv, MAX_BACKFILL_ROWS };
@@ -0,0 +1,55 @@
+// csv.js
+
+function csvCell(value) {
+  const s = value == null ? "" : typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// rows: plain objects; columns: the keys to export, in order (objects become JSON)
+function toCsv(columns, rows) {
+  const lines = rows.map((row) => columns.map((k) => csvCell(row[k])).join(","));
+  return [columns.join(","), ...lines].join("\n") + "\n";
+}
+
+// RFC 4180-ish: quoted cells may hold commas, quotes ("") and newlines. Returns rows of cells.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+module.exports = { toCsv, csvCell, parseCsv };
@@ -1,41 +1,92 @@
 require("dotenv").config();
 const { REST, Routes, SlashCommandBuilder, PermissionFlagsBits } = require("discord.js");
 
-const { DISCORD_TOKEN, CLIENT_ID, GUILD_ID } = process.env;
+const { listConfiguredGuildIds } = require("./guilds");
+const { localizations } = require("./i18n");
 
-if (!DISCORD_TOKEN || !CLIENT_ID || !GUILD_ID) {
+const { DISCORD_TOKEN, CLIENT_ID } = process.env;
+
+if (!DISCORD_TOKEN || !CLIENT_ID) {
   console.error("Missing .env variables");
   process.exit(1);
 }
 
+// GUILD_ID, or every guild in config/guilds.json
+const guildIds = listConfiguredGuildIds();
+
+// Member commands are fully localized (names too) from locales/*.json.
+// Admin commands only get translated descriptions: their names stay English to match the logs.
+const l10n = (key) => localizations(`commands.${key}`);
+
 const commands = [
   // =====================
   // /verify (everyone)
   // =====================
   new SlashCommandBuilder()
     .setName("verify")
+    .setNameLocalizations(l10n("verify.name"))
     .setDescription("Verify your purchase and unlock the correct role.")
+    .setDescriptionLocalizations(l10n("verify.description"))
     .setDMPermission(false)
     .addStringOption(option =>
       option
         .setName("email")
-        .setDescription("The email used at checkout")
+        .setNameLocalizations(l10n("verify.email"))
+        .setDescription("The email used at checkout (we'll email you a code)")
+        .setDescriptionLocalizations(l10n("verify.emailDescription"))
         .setRequired(true)
     ),
 
+  // =====================
+  // /verify-code (everyone)
+  // =====================
+  new SlashCommandBuilder()
+    .setName("verify-code")
+    .setNameLocalizations(l10n("verifyCode.name"))
+    .setDescription("Enter the 6-digit code we emailed you to finish verifying.")
+    .setDescriptionLocalizations(l10n("verifyCode.description"))
+    .setDMPermission(false)
+    .addStringOption(option =>
+      option
+        .setName("code")
+        .setNameLocalizations(l10n("verifyCode.code"))
+        .setDescription("The 6-digit code from the email")
+        .setDescriptionLocalizations(l10n("verifyCode.codeDescription"))
+        .setRequired(true)
+        .setMinLength(6)
+        .setMaxLength(6)
+    ),
+
+  // =====================
+  // /forget-me (everyone)
+  // =====================
+  new SlashCommandBuilder()
+    .setName("forget-me")
+    .setNameLocalizations(l10n("forgetMe.name"))
+    .setDescription("Delete the emails linked to your account and remove your paid roles.")
+    .setDescriptionLocalizations(l10n("forgetMe.description"))
+    .setDMPermission(false),
+
   // =====================
   // /lookup (ADMIN only)
   // =====================
   new SlashCommandBuilder()
     .setName("lookup")
-    .setDescription("Admin: lookup who owns an email in the bot database")
+    .setDescription("Admin: lookup who owns an email (and all their linked emails)")
+    .setDescriptionLocalizations(l10n("lookup.description"))
     .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
     .setDMPermission(false)
     .addStringOption(option =>
       option
         .setName("email")
         .setDescription("Email to lookup")
-        .setRequired(true)
+        .setRequired(false)
+    )
+    .addUserOption(option =>
+      option
+        .setName("user")
+        .setDescription("Or lookup a Discord member")
+        .setRequired(false)
     ),
 
   // =====================
@@ -44,6 +95,7 @@ const commands = [
   new SlashCommandBuilder()
     .setName("status")
     .setDescription("Admin: check Shopify purchases for an email")
+    .setDescriptionLocalizations(l10n("status.description"))
     .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
     .setDMPermission(false)
     .addStringOption(option =>
@@ -52,17 +104,249 @@ const commands = [
         .setDescription("Email to check")
         .setRequired(true)
     ),
+
+  // =====================
+  // /tiers (ADMIN only)
+  // =====================
+  new SlashCommandBuilder()
+    .setName("tiers")
+    .setDescription("Admin: show the active product → tier mapping")
+    .setDescriptionLocalizations(l10n("tiers.description"))
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addBooleanOption(option =>
+      option
+        .setName("reload")
+        .setDescription("Reload the tier config file first")
+        .setRequired(false)
+    ),
+
+  // =====================
+  // /link (ADMIN only)
+  // =====================
+  new SlashCommandBuilder()
+    .setName("link")
+    .setDescription("Admin: link an email to a member")
+    .setDescriptionLocalizations(l10n("link.description"))
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addStringOption(option =>
+      option
+        .setName("email")
+        .setDescription("Email to link")
+        .setRequired(true)
+    )
+    .addUserOption(option =>
+      option
+        .setName("user")
+        .setDescription("Member who owns the email")
+        .setRequired(true)
+    )
+    .addStringOption(option =>
+      option
+        .setName("reason")
+        .setDescription("Why (goes to the bot log)")
+        .setRequired(true)
+    )
+    .addStringOption(option =>
+      option
+        .setName("tier")
+        .setDescription("Manual tier role name (leave empty to use Shopify)")
+        .setRequired(false)
+    ),
+
+  // =====================
+  // /unlink (ADMIN only)
+  // =====================
+  new SlashCommandBuilder()
+    .setName("unlink")
+    .setDescription("Admin: remove an email link")
+    .setDescriptionLocalizations(l10n("unlink.description"))
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addStringOption(option =>
+      option
+        .setName("email")
+        .setDescription("Email to unlink")
+        .setRequired(true)
+    )
+    .addStringOption(option =>
+      option
+        .setName("reason")
+        .setDescription("Why (goes to the bot log)")
+        .setRequired(true)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName("strip_roles")
+        .setDescription("Also remove tier roles the member no longer has a linked email for")
+        .setRequired(false)
+    ),
+
+  // =====================
+  // /transfer (ADMIN only)
+  // =====================
+  new SlashCommandBuilder()
+    .setName("transfer")
+    .setDescription("Admin: move an email link to another member")
+    .setDescriptionLocalizations(l10n("transfer.description"))
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addStringOption(option =>
+      option
+        .setName("email")
+        .setDescription("Email to transfer")
+        .setRequired(true)
+    )
+    .addUserOption(option =>
+      option
+        .setName("to")
+        .setDescription("Member who should own the email")
+        .setRequired(true)
+    )
+    .addStringOption(option =>
+      option
+        .setName("reason")
+        .setDescription("Why (goes to the bot log)")
+        .setRequired(true)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName("strip_roles")
+        .setDescription("Recompute the previous owner's roles (default: yes)")
+        .setRequired(false)
+    ),
+
+  // =====================
+  // /history (ADMIN only)
+  // =====================
+  new SlashCommandBuilder()
+    .setName("history")
+    .setDescription("Admin: access history for an email or member")
+    .setDescriptionLocalizations(l10n("history.description"))
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addStringOption(option =>
+      option
+        .setName("email")
+        .setDescription("Email to show")
+        .setRequired(false)
+    )
+    .addUserOption(option =>
+      option
+        .setName("user")
+        .setDescription("Or a Discord member")
+        .setRequired(false)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName("csv")
+        .setDescription("Export the full timeline as a CSV file")
+        .setRequired(false)
+    )
+    .addIntegerOption(option =>
+      option
+        .setName("limit")
+        .setDescription("How many events to show (default 15)")
+        .setMinValue(1)
+        .setMaxValue(50)
+        .setRequired(false)
+    ),
+
+  // =====================
+  // /clear-lockout (ADMIN only)
+  // =====================
+  new SlashCommandBuilder()
+    .setName("clear-lockout")
+    .setDescription("Admin: let a member use /verify again after a lockout")
+    .setDescriptionLocalizations(l10n("clearLockout.description"))
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addUserOption(option =>
+      option
+        .setName("user")
+        .setDescription("Member to unlock")
+        .setRequired(true)
+    ),
+
+  // =====================
+  // /reconcile (ADMIN only)
+  // =====================
+  new SlashCommandBuilder()
+    .setName("reconcile")
+    .setDescription("Admin: compare Discord tier roles with linked emails")
+    .setDescriptionLocalizations(l10n("reconcile.description"))
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addBooleanOption(option =>
+      option
+        .setName("fix")
+        .setDescription("Apply the tiers the records back (default: report only)")
+        .setRequired(false)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName("csv")
+        .setDescription("Attach the full report as a CSV file")
+        .setRequired(false)
+    ),
+
+  // =====================
+  // /backfill (ADMIN only)
+  // =====================
+  new SlashCommandBuilder()
+    .setName("backfill")
+    .setDescription("Admin: link existing customers in bulk from a CSV")
+    .setDescriptionLocalizations(l10n("backfill.description"))
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addAttachmentOption(option =>
+      option
+        .setName("file")
+        .setDescription("CSV with email,discordUserId or email,username")
+        .setRequired(true)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName("dry_run")
+        .setDescription("Preview only, write nothing (default: yes)")
+        .setRequired(false)
+    ),
+
+  // =====================
+  // /forget (ADMIN only)
+  // =====================
+  new SlashCommandBuilder()
+    .setName("forget")
+    .setDescription("Admin: delete a member's linked emails and strip their paid tiers")
+    .setDescriptionLocalizations(l10n("forget.description"))
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addUserOption(option =>
+      option
+        .setName("user")
+        .setDescription("Member whose data to delete")
+        .setRequired(true)
+    )
+    .addStringOption(option =>
+      option
+        .setName("reason")
+        .setDescription("Why, e.g. the support ticket (goes to the bot log)")
+        .setRequired(true)
+    ),
 ].map(cmd => cmd.toJSON());
 
 const rest = new REST({ version: "10" }).setToken(DISCORD_TOKEN);
 
 (async () => {
   try {
-    console.log("Registering commands...");
-    await rest.put(
-      Routes.applicationGuildCommands(CLIENT_ID, GUILD_ID),
-      { body: commands }
-    );
+    for (const guildId of guildIds) {
+      console.log(`Registering commands in ${guildId}...`);
+      await rest.put(
+        Routes.applicationGuildCommands(CLIENT_ID, guildId),
+        { body: commands }
+      );
+    }
     console.log("✅ Commands registered successfully");
   } catch (error) {
     console.error(error);
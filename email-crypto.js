@@ -0,0 +1,104 @@
+// email-crypto.js
+const crypto = require("crypto");
+
+/*
+  Emails at rest (see storage.js).
+
+  EMAIL_HASH_KEY        records are keyed by HMAC-SHA256(key, normalized email) instead of the address.
+                        Any secret of 32+ characters. Lookups hash the input, so /lookup, webhooks
+                        and the admin API keep working.
+  EMAIL_ENCRYPTION_KEY  optional: the address itself is also kept, AES-256-GCM encrypted (32 bytes,
+                        hex or base64). Without it the bot can't show stored emails or look them up
+                        in Shopify on its own; webhooks, contracts and paid dates still work.
+
+  `node email-keys.js generate` prints fresh keys, `node email-keys.js rotate` re-keys a database.
+
+  Without EMAIL_HASH_KEY emails are stored in plaintext: the bot warns on every start, and with
+  NODE_ENV=production it refuses to start unless ALLOW_PLAINTEXT_EMAILS=true.
+*/
+
+const REF_PREFIX = "hmac:";
+const ENC_PREFIX = "enc:v1:";
+const MIN_HASH_KEY_LENGTH = 32;
+
+const normalize = (email) => String(email || "").trim().toLowerCase();
+
+// A stored key in place of an address ("hmac:…"): never an email, never sent to Shopify
+const isEmailRef = (value) => typeof value === "string" && value.startsWith(REF_PREFIX);
+
+function parseEncryptionKey(raw) {
+  const value = String(raw).trim();
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, "hex") : Buffer.from(value, "base64");
+  if (key.length !== 32) throw new Error("EMAIL_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)");
+  return key;
+}
+
+/**
+ * { hashKey, encryptionKey } (strings, both optional) → protector:
+ *   hashing / encrypting   which keys are set
+ *   hashKeyId              identifies the hash key (stored in the database, never the key)
+ *   fingerprintKey         secret for deletion fingerprints (retention.js), derived from the hash key
+ *   keyFor(email)          "hmac:<hex>" (the normalized email when hashing is off; refs pass through)
+ *   encrypt(email)         "enc:v1:<keyId>:<data>" or null without an encryption key
+ *   decrypt(value)         the email, or null (other key, tampered, not encrypted)
+ */
+function createEmailProtector({ hashKey = "", encryptionKey = "" } = {}) {
+  if (hashKey && hashKey.length < MIN_HASH_KEY_LENGTH) {
+    throw new Error(`EMAIL_HASH_KEY must be at least ${MIN_HASH_KEY_LENGTH} characters`);
+  }
+  if (encryptionKey && !hashKey) throw new Error("EMAIL_ENCRYPTION_KEY needs EMAIL_HASH_KEY as well");
+
+  const encKey = encryptionKey ? parseEncryptionKey(encryptionKey) : null;
+  const encKeyId = encKey ? crypto.createHash("sha256").update(encKey).digest("hex").slice(0, 8) : null;
+  const hashKeyId = hashKey ? crypto.createHmac("sha256", hashKey).update("xplx-key-id").digest("hex").slice(0, 16) : null;
+  const fingerprintKey = hashKey ? crypto.createHmac("sha256", hashKey).update("xplx-fingerprint").digest("hex") : null;
+
+  function keyFor(email) {
+    if (isEmailRef(email)) return email;
+    const norm = normalize(email);
+    return hashKey ? REF_PREFIX + crypto.createHmac("sha256", hashKey).update(norm).digest("hex") : norm;
+  }
+
+  function encrypt(email) {
+    if (!encKey || isEmailRef(email)) return null;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", encKey, iv);
+    const data = Buffer.concat([cipher.update(normalize(email), "utf8"), cipher.final()]);
+    return `${ENC_PREFIX}${encKeyId}:${Buffer.concat([iv, cipher.getAuthTag(), data]).toString("base64")}`;
+  }
+
+  function decrypt(value) {
+    if (!encKey || typeof value !== "string" || !value.startsWith(`${ENC_PREFIX}${encKeyId}:`)) return null;
+    try {
+      const raw = Buffer.from(value.slice(ENC_PREFIX.length + encKeyId.length + 1), "base64");
+      const decipher = crypto.createDecipheriv("aes-256-gcm", encKey, raw.subarray(0, 12));
+      decipher.setAuthTag(raw.subarray(12, 28));
+      return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString("utf8");
+    } catch {
+      return null;
+    }
+  }
+
+  return { hashing: !!hashKey, encrypting: !!encKey, hashKeyId, fingerprintKey, keyFor, encrypt, decrypt };
+}
+
+// Current keys from the environment (the _OLD ones are only read by `email-keys.js rotate`)
+function emailProtectorFromEnv(env = process.env) {
+  const protector = createEmailProtector({ hashKey: env.EMAIL_HASH_KEY || "", encryptionKey: env.EMAIL_ENCRYPTION_KEY || "" });
+  if (!protector.hashing && env.NODE_ENV === "production" && env.ALLOW_PLAINTEXT_EMAILS !== "true") {
+    throw new Error(
+      "EMAIL_HASH_KEY is not set, so emails would be stored in plaintext. Generate keys with " +
+      "`node email-keys.js generate`, or set ALLOW_PLAINTEXT_EMAILS=true to run without them."
+    );
+  }
+  return protector;
+}
+
+function generateKeys() {
+  return {
+    EMAIL_HASH_KEY: crypto.randomBytes(32).toString("base64url"),
+    EMAIL_ENCRYPTION_KEY: crypto.randomBytes(32).toString("hex"),
+  };
+}
+
+module.exports = { createEmailProtector, emailProtectorFromEnv, generateKeys, isEmailRef };
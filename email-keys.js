@@ -0,0 +1,57 @@
+// email-keys.js
+require("dotenv").config();
+const path = require("path");
+
+const { createEmailProtector, generateKeys } = require("./email-crypto");
+const { rotateEmailKeys } = require("./storage");
+
+/*
+  Keys for emails at rest (see email-crypto.js).
+
+  node email-keys.js generate
+    Prints a fresh EMAIL_HASH_KEY + EMAIL_ENCRYPTION_KEY for .env.
+
+  node email-keys.js rotate
+    Stop the bot first. Re-keys the database from EMAIL_HASH_KEY_OLD / EMAIL_ENCRYPTION_KEY_OLD
+    to EMAIL_HASH_KEY / EMAIL_ENCRYPTION_KEY, then start the bot with the new keys.
+    Leave EMAIL_HASH_KEY_OLD equal to EMAIL_HASH_KEY to only rotate the encryption key.
+    Deletion fingerprints (retention.js) follow the hash key: ones already in the history keep
+    the old key's value.
+*/
+
+// Same default as index.js
+const EMAIL_MAP_PATH = process.env.EMAIL_MAP_PATH || path.join(__dirname, "data", "email-map.json");
+const DATABASE_PATH = process.env.DATABASE_PATH || path.join(path.dirname(EMAIL_MAP_PATH), "xplx.db");
+
+function rotate() {
+  const { EMAIL_HASH_KEY_OLD, EMAIL_ENCRYPTION_KEY_OLD, EMAIL_HASH_KEY, EMAIL_ENCRYPTION_KEY } = process.env;
+  if (!EMAIL_HASH_KEY_OLD || !EMAIL_HASH_KEY) {
+    console.error("Set EMAIL_HASH_KEY_OLD (current key) and EMAIL_HASH_KEY (new key)");
+    process.exit(1);
+  }
+
+  const from = createEmailProtector({ hashKey: EMAIL_HASH_KEY_OLD, encryptionKey: EMAIL_ENCRYPTION_KEY_OLD || "" });
+  const to = createEmailProtector({ hashKey: EMAIL_HASH_KEY, encryptionKey: EMAIL_ENCRYPTION_KEY || "" });
+
+  console.log(`Rotating email keys in ${DATABASE_PATH}...`);
+  const result = rotateEmailKeys({ dbPath: DATABASE_PATH, from, to });
+  console.log(`✅ Re-keyed ${result.links} record(s) and ${result.events} history event(s)`);
+  if (result.unreadableEvents) {
+    console.log(`⚠️ ${result.unreadableEvents} history event(s) had no readable address and kept their old key`);
+  }
+}
+
+const command = process.argv[2];
+try {
+  if (command === "generate") {
+    for (const [name, value] of Object.entries(generateKeys())) console.log(`${name}=${value}`);
+  } else if (command === "rotate") {
+    rotate();
+  } else {
+    console.error("Usage: node email-keys.js generate | rotate");
+    process.exit(1);
+  }
+} catch (err) {
+  console.error(`❌ ${err?.message || String(err)}`);
+  process.exit(1);
+}
@@ -0,0 +1,274 @@
+// fake-shopify.js
+const fs = require("fs");
+
+/*
+  Offline stand-in for the Shopify Admin GraphQL API, backed by a fixture file.
+  Plugs into shopify.js as its transport (setShopifyTransport, or SHOPIFY_FIXTURES_PATH
+  to run the whole bot against it). Answers the queries shopify.js sends, by operation name,
+  and rejects any query over Shopify's single-query cost limit, like the real API.
+
+  Fixtures (JSON):
+  {
+    "orders": [{
+      "id": "gid://shopify/Order/1001", "name": "#1001", "email": "buyer@example.com",
+      "processedAt": "2025-01-10T12:00:00Z", "displayFinancialStatus": "PAID",
+      "updatedAt": "2025-01-12T08:00:00Z",                  // optional, default processedAt
+      "cancelledAt": null,                                  // optional
+      "transactions": [{ "kind": "SALE", "status": "SUCCESS", "processedAt": "..." }], // default: one sale at processedAt
+      "refunds": [{ "lineItemId": "gid://shopify/LineItem/1", "quantity": 1 }],        // optional
+      "disputes": [{ "status": "NEEDS_RESPONSE" }],         // optional
+      "lineItems": [{ "id": "gid://shopify/LineItem/1", "title": "...", "quantity": 1, "sku": "...",
+                      "productId": "gid://shopify/Product/1", "variantId": "...", "sellingPlanName": "Monthly" }]
+    }],
+    "customers": [{
+      "id": "gid://shopify/Customer/1", "email": "buyer@example.com",
+      "subscriptionContracts": [{ "id": "gid://shopify/SubscriptionContract/1", "status": "ACTIVE",
+        "nextBillingDate": "...", "lastPaymentStatus": "SUCCEEDED", "createdAt": "...", "updatedAt": "...",
+        "lines": [{ "productId": "...", "variantId": "...", "title": "...", "sellingPlanName": "Monthly" }] }]
+    }]
+  }
+*/
+
+const THROTTLE_STATUS = { maximumAvailable: 2000, currentlyAvailable: 2000, restoreRate: 100 };
+const MAX_QUERY_COST = 1000; // Shopify's single-query limit
+
+/*
+  Requested query cost, the way Shopify's calculator adds it up (close enough to catch a query
+  that would be rejected): scalars 0, objects 1, pageInfo 0, connections 2 + first × node cost,
+  plain lists first × object cost.
+*/
+function parseSelection(text, start) {
+  const fields = [];
+  let i = start + 1; // past "{"
+  for (;;) {
+    while (/\s/.test(text[i])) i++;
+    if (text[i] === "}" || i >= text.length) return { fields, end: i + 1 };
+
+    const name = /^\w+/.exec(text.slice(i))?.[0];
+    if (!name) throw new Error(`fake-shopify: can't parse the query near "${text.slice(i, i + 20)}"`);
+    i += name.length;
+    while (/\s/.test(text[i])) i++;
+
+    let args = "";
+    if (text[i] === "(") {
+      const close = text.indexOf(")", i);
+      args = text.slice(i + 1, close);
+      i = close + 1;
+      while (/\s/.test(text[i])) i++;
+    }
+
+    let children = null;
+    if (text[i] === "{") {
+      const sub = parseSelection(text, i);
+      children = sub.fields;
+      i = sub.end;
+    }
+    fields.push({ name, args, children });
+  }
+}
+
+function selectionCost(fields, variables) {
+  let total = 0;
+  for (const field of fields) {
+    if (!field.children || field.name === "pageInfo") continue;
+
+    const childCost = selectionCost(field.children, variables);
+    const first = /first:\s*(\$?\w+)/.exec(field.args)?.[1];
+    if (first == null) {
+      total += 1 + childCost;
+      continue;
+    }
+
+    const n = Number(first.startsWith("$") ? variables[first.slice(1)] : first) || 0;
+    const connection = field.children.some((c) => c.name === "nodes" || c.name === "edges");
+    total += connection ? 2 + n * childCost : n * (1 + childCost);
+  }
+  return total;
+}
+
+function estimateQueryCost(query, variables = {}) {
+  return selectionCost(parseSelection(query, query.indexOf("{")).fields, variables);
+}
+
+function loadFixtures(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+const normEmail = (email) => String(email || "").trim().toLowerCase();
+
+// 'email:"buyer@example.com"' (or unquoted) → "buyer@example.com"
+function emailFromSearch(query) {
+  const quoted = /^email:"((?:[^"\\]|\\.)*)"$/.exec(String(query || ""));
+  if (quoted) return normEmail(quoted[1].replace(/\\(.)/g, "$1"));
+  return normEmail(String(query || "").replace(/^email:/, ""));
+}
+
+// Cursor-based page over an array: cursors are plain indexes
+function page(list, first, after) {
+  const start = after ? Number(after) : 0;
+  const nodes = list.slice(start, start + first);
+  const end = start + nodes.length;
+  return {
+    pageInfo: { hasNextPage: end < list.length, endCursor: nodes.length ? String(end) : null },
+    nodes,
+  };
+}
+
+function lineItemNode(li) {
+  return {
+    id: li.id,
+    title: li.title,
+    quantity: li.quantity ?? 1,
+    sku: li.sku ?? null,
+    product: li.productId ? { id: li.productId } : null,
+    variant: li.variantId ? { id: li.variantId } : null,
+    sellingPlan: li.sellingPlanName ? { name: li.sellingPlanName } : null,
+  };
+}
+
+function orderNode(order, lineItemsFirst) {
+  return {
+    id: order.id,
+    name: order.name,
+    createdAt: order.createdAt || order.processedAt,
+    processedAt: order.processedAt,
+    displayFinancialStatus: order.displayFinancialStatus || "PAID",
+    cancelledAt: order.cancelledAt || null,
+    transactions: order.transactions || [{ kind: "SALE", status: "SUCCESS", processedAt: order.processedAt }],
+    disputes: order.disputes || [],
+    lineItems: page((order.lineItems || []).map(lineItemNode), lineItemsFirst),
+  };
+}
+
+// Each fixture refund is one Refund with a single line; its ID is derived from the order's
+const refundId = (order, i) => `${order.id.replace("/Order/", "/Refund/")}-${i}`;
+
+function refundNodes(order) {
+  return (order.refunds || []).map((r, i) => ({
+    id: refundId(order, i),
+    lineItems: [{ quantity: r.quantity ?? 1, lineItem: { id: r.lineItemId } }],
+  }));
+}
+
+function contractNode(contract) {
+  return {
+    ...contract,
+    lines: { nodes: contract.lines || [] },
+  };
+}
+
+/**
+ * Returns { transport, requests, failNext, setFixtures }.
+ * requests: every call as { operationName, variables }.
+ * failNext(status | "THROTTLED" | "ERROR"): the next call fails that way (queue several for retries).
+ */
+function createFakeShopify({ fixtures = {} } = {}) {
+  let data = fixtures;
+  const requests = [];
+  const failures = [];
+
+  const orders = () => data.orders || [];
+  const customers = () => data.customers || [];
+  const contracts = () => customers().flatMap((c) => c.subscriptionContracts || []);
+  const newestFirst = (list) => [...list].sort((a, b) => String(b.processedAt).localeCompare(String(a.processedAt)));
+
+  const resolvers = {
+    OrdersByEmail(vars, query) {
+      const lineItemsFirst = Number(/lineItems\(first: (\d+)\)/.exec(query)?.[1] ?? 100);
+      const email = emailFromSearch(vars.query);
+      const matching = newestFirst(orders().filter((o) => normEmail(o.email) === email));
+      const conn = page(matching, vars.first, vars.after);
+      return { orders: { ...conn, nodes: conn.nodes.map((o) => orderNode(o, lineItemsFirst)) } };
+    },
+    OrderLineItems(vars) {
+      const order = orders().find((o) => o.id === vars.id);
+      return { order: order ? { lineItems: page((order.lineItems || []).map(lineItemNode), vars.first, vars.after) } : null };
+    },
+    OrderRefunds(vars) {
+      const order = orders().find((o) => o.id === vars.id);
+      if (!order) return { order: null };
+      const refunds = refundNodes(order).slice(0, vars.refunds).map(({ id, lineItems }) => ({
+        id,
+        refundLineItems: page(lineItems, vars.first, vars.after),
+      }));
+      return { order: { refunds } };
+    },
+    RefundLineItems(vars) {
+      const refund = orders().flatMap(refundNodes).find((r) => r.id === vars.id);
+      return { refund: refund ? { refundLineItems: page(refund.lineItems, vars.first, vars.after) } : null };
+    },
+    OrdersUpdatedSince(vars) {
+      const since = Date.parse(/^updated_at:>'([^']+)'$/.exec(vars.query)?.[1]);
+      const updatedAt = (o) => Date.parse(o.updatedAt || o.processedAt);
+      const changed = orders()
+        .filter((o) => updatedAt(o) > since)
+        .sort((a, b) => updatedAt(a) - updatedAt(b));
+      const conn = page(changed, vars.first, vars.after);
+      return { orders: { ...conn, nodes: conn.nodes.map((o) => ({ email: o.email || null })) } };
+    },
+    OrderEmail(vars) {
+      const order = orders().find((o) => o.id === vars.id);
+      return { order: order ? { email: order.email || null, customer: null } : null };
+    },
+    CustomerEmail(vars) {
+      const customer = customers().find((c) => c.id === vars.id);
+      return { customer: customer ? { email: customer.email } : null };
+    },
+    ContractsByEmail(vars) {
+      const email = emailFromSearch(vars.query);
+      const nodes = customers()
+        .filter((c) => normEmail(c.email) === email)
+        .map((c) => ({ subscriptionContracts: { nodes: (c.subscriptionContracts || []).map(contractNode) } }));
+      return { customers: { nodes } };
+    },
+    ContractById(vars) {
+      const contract = contracts().find((c) => c.id === vars.id);
+      return { subscriptionContract: contract ? contractNode(contract) : null };
+    },
+  };
+
+  const json = (status, body) => new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+
+  async function transport(url, init) {
+    const { query, variables = {} } = JSON.parse(init.body);
+    const operationName = /(?:query|mutation)\s+(\w+)/.exec(query)?.[1] || null;
+    requests.push({ operationName, variables });
+
+    const requestedQueryCost = estimateQueryCost(query, variables);
+    const cost = { requestedQueryCost, throttleStatus: THROTTLE_STATUS };
+    if (requestedQueryCost > MAX_QUERY_COST) {
+      return json(200, {
+        errors: [{
+          message: `Query cost is ${requestedQueryCost}, which exceeds the single query max cost limit (${MAX_QUERY_COST}).`,
+          extensions: { code: "MAX_COST_EXCEEDED", cost: requestedQueryCost, maxCost: MAX_QUERY_COST },
+        }],
+      });
+    }
+
+    const failure = failures.shift();
+    if (failure === "THROTTLED") {
+      return json(200, { errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }], extensions: { cost } });
+    }
+    if (failure === "ERROR") return json(200, { errors: [{ message: "Fake GraphQL error" }] });
+    if (failure) return json(failure, { errors: [{ message: `Fake HTTP ${failure}` }] });
+
+    const resolve = resolvers[operationName];
+    if (!resolve) return json(200, { errors: [{ message: `fake-shopify: no fixture resolver for ${operationName}` }] });
+
+    return json(200, { data: resolve(variables, query), extensions: { cost } });
+  }
+
+  return {
+    transport,
+    requests,
+    failNext: (...statuses) => failures.push(...statuses),
+    setFixtures: (next) => {
+      data = next;
+    },
+  };
+}
+
+module.exports = { createFakeShopify, loadFixtures, estimateQueryCost, MAX_QUERY_COST };
@@ -0,0 +1,170 @@
+// guilds.js
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+
+const { createTierStore } = require("./tiers");
+
+/*
+  Per-guild configuration.
+
+  Without config/guilds.json (or GUILDS_CONFIG_PATH) the bot serves the single
+  GUILD_ID using the env vars it always used (LOG_CHANNEL_ID, AUDIT_*, ...).
+
+  With the file, every guild gets its own settings; anything left out falls back
+  to the env defaults, except the channels (one server's log channel is never
+  another's). See config/guilds.example.json.
+*/
+
+const GUILDS_CONFIG_PATH = process.env.GUILDS_CONFIG_PATH || path.join(__dirname, "config", "guilds.json");
+const DEFAULT_TIERS_CONFIG_PATH = process.env.TIERS_CONFIG_PATH || path.join(__dirname, "config", "tiers.json");
+const DEFAULT_VERIFY_CHANNEL_NAME = "🔐│verify-access";
+
+const envBool = (name, fallback) => (process.env[name] ?? String(fallback)) === "true";
+const envNumber = (name, fallback) => Number(process.env[name] ?? String(fallback));
+
+function envDefaults() {
+  return {
+    logChannelId: process.env.LOG_CHANNEL_ID || "",
+    verifyChannelName: process.env.VERIFY_CHANNEL_NAME || DEFAULT_VERIFY_CHANNEL_NAME,
+    tiersConfig: DEFAULT_TIERS_CONFIG_PATH,
+    reminderChannelId: process.env.REMINDER_FALLBACK_CHANNEL_ID || "", // default: verify channel
+    renewalUrl: process.env.RENEWAL_URL || "",
+    audit: {
+      enabled: envBool("AUDIT_ENABLED", true),
+      dryRun: envBool("AUDIT_DRY_RUN", false), // set true first if you want "logs only"
+      graceDays: envNumber("AUDIT_GRACE_DAYS", 35), // Day-35 rule (subscriptions without a contract)
+      paymentGraceDays: envNumber("AUDIT_PAYMENT_GRACE_DAYS", 7), // failed billing → Shopify retry window
+    },
+    reconcile: {
+      enabled: envBool("RECONCILE_ENABLED", false), // scheduled Discord roles ↔ records check
+      dryRun: envBool("RECONCILE_DRY_RUN", true), // report only until you trust it
+    },
+    retention: {
+      enabled: envBool("RETENTION_ENABLED", false), // scheduled purge of old records
+      dryRun: envBool("RETENTION_DRY_RUN", true), // report only until you trust it
+      leftDays: envNumber("RETENTION_LEFT_DAYS", 90), // member left the server (0 = keep)
+      downgradedDays: envNumber("RETENTION_DOWNGRADED_DAYS", 180), // record backs no tier (0 = keep)
+    },
+  };
+}
+
+function validateGuild(guildId, g, problems) {
+  const where = `guilds.${guildId}`;
+  if (!/^\d{5,}$/.test(guildId)) problems.push(`${where}: key must be a Discord guild ID`);
+  if (!g || typeof g !== "object") {
+    problems.push(`${where} must be an object`);
+    return;
+  }
+
+  for (const key of ["name", "logChannelId", "verifyChannelName", "tiersConfig", "reminderChannelId", "renewalUrl"]) {
+    if (g[key] != null && typeof g[key] !== "string") problems.push(`${where}.${key} must be a string`);
+  }
+
+  const audit = g.audit ?? {};
+  if (typeof audit !== "object") problems.push(`${where}.audit must be an object`);
+  for (const key of ["enabled", "dryRun"]) {
+    if (audit[key] != null && typeof audit[key] !== "boolean") problems.push(`${where}.audit.${key} must be true/false`);
+  }
+  for (const key of ["graceDays", "paymentGraceDays"]) {
+    if (audit[key] != null && !(Number.isFinite(audit[key]) && audit[key] >= 0)) {
+      problems.push(`${where}.audit.${key} must be a number ≥ 0`);
+    }
+  }
+
+  const reconcile = g.reconcile ?? {};
+  if (typeof reconcile !== "object") problems.push(`${where}.reconcile must be an object`);
+  for (const key of ["enabled", "dryRun"]) {
+    if (reconcile[key] != null && typeof reconcile[key] !== "boolean") problems.push(`${where}.reconcile.${key} must be true/false`);
+  }
+
+  const retention = g.retention ?? {};
+  if (typeof retention !== "object") problems.push(`${where}.retention must be an object`);
+  for (const key of ["enabled", "dryRun"]) {
+    if (retention[key] != null && typeof retention[key] !== "boolean") problems.push(`${where}.retention.${key} must be true/false`);
+  }
+  for (const key of ["leftDays", "downgradedDays"]) {
+    if (retention[key] != null && !(Number.isFinite(retention[key]) && retention[key] >= 0)) {
+      problems.push(`${where}.retention.${key} must be a number ≥ 0`);
+    }
+  }
+}
+
+/**
+ * Returns the settings of every served guild:
+ * [{ guildId, name, logChannelId, verifyChannelName, tiersConfig, reminderChannelId, renewalUrl, audit, reconcile, retention }]
+ */
+function loadGuildConfigs() {
+  const defaults = envDefaults();
+
+  if (!fs.existsSync(GUILDS_CONFIG_PATH)) {
+    if (!process.env.GUILD_ID) {
+      throw new Error(`Set GUILD_ID (single server) or create ${GUILDS_CONFIG_PATH}`);
+    }
+    return [{ guildId: process.env.GUILD_ID, name: "default", ...defaults }];
+  }
+
+  const raw = JSON.parse(fs.readFileSync(GUILDS_CONFIG_PATH, "utf8"));
+  const entries = Object.entries(raw?.guilds ?? {});
+
+  const problems = [];
+  if (!entries.length) problems.push("guilds must list at least one guild");
+  for (const [guildId, g] of entries) validateGuild(guildId, g, problems);
+  if (problems.length) {
+    throw new Error(`Invalid guild config (${GUILDS_CONFIG_PATH}):\n- ${problems.join("\n- ")}`);
+  }
+
+  const baseDir = path.dirname(GUILDS_CONFIG_PATH);
+  return entries.map(([guildId, g]) => ({
+    guildId,
+    name: g.name || guildId,
+    logChannelId: g.logChannelId || "",
+    verifyChannelName: g.verifyChannelName || defaults.verifyChannelName,
+    tiersConfig: g.tiersConfig ? path.resolve(baseDir, g.tiersConfig) : defaults.tiersConfig,
+    reminderChannelId: g.reminderChannelId || "",
+    renewalUrl: g.renewalUrl || defaults.renewalUrl,
+    audit: { ...defaults.audit, ...(g.audit || {}) },
+    reconcile: { ...defaults.reconcile, ...(g.reconcile || {}) },
+    retention: { ...defaults.retention, ...(g.retention || {}) },
+  }));
+}
+
+/**
+ * Builds a context per guild: its settings + its own tier store + its scoped repository.
+ * Guilds sharing a tiers file share one store. onTierReload(result, contexts) fires per file.
+ */
+function createGuildRegistry({ repo, onTierReload }) {
+  const configs = loadGuildConfigs();
+  const stores = new Map(); // tiers file → store
+  const contexts = [];
+
+  for (const cfg of configs) {
+    if (!stores.has(cfg.tiersConfig)) {
+      const filePath = cfg.tiersConfig;
+      stores.set(filePath, createTierStore({
+        filePath,
+        onReload: (result) => onTierReload?.(result, contexts.filter((c) => c.tiersConfig === filePath)),
+      }));
+    }
+
+    contexts.push({
+      ...cfg,
+      tierStore: stores.get(cfg.tiersConfig),
+      links: repo.forGuild(cfg.guildId),
+    });
+  }
+
+  const byId = new Map(contexts.map((c) => [c.guildId, c]));
+
+  return {
+    list: () => contexts,
+    get: (guildId) => byId.get(guildId) || null,
+  };
+}
+
+// For deploy-commands.js: which guilds to register slash commands in
+function listConfiguredGuildIds() {
+  return loadGuildConfigs().map((g) => g.guildId);
+}
+
+module.exports = { createGuildRegistry, loadGuildConfigs, listConfiguredGuildIds };
@@ -0,0 +1,54 @@
+// i18n.js
+// Member-facing strings live in locales/<lang>.json. Admin log embeds stay English.
+
+const DEFAULT_LOCALE = "en";
+
+const catalogs = {
+  en: require("./locales/en.json"),
+  es: require("./locales/es.json"),
+  fr: require("./locales/fr.json"),
+};
+
+// Discord locale codes each catalog is registered under (slash command localizations)
+const DISCORD_LOCALES = {
+  es: ["es-ES", "es-419"],
+  fr: ["fr"],
+};
+
+// Discord locale ("es-ES", "es-419", "fr", "en-US", ...) → catalog name, English when we have none
+function pickLocale(discordLocale) {
+  const lang = String(discordLocale || "").toLowerCase().split("-")[0];
+  return catalogs[lang] ? lang : DEFAULT_LOCALE;
+}
+
+function lookup(catalog, key) {
+  const value = key.split(".").reduce((node, part) => node?.[part], catalog);
+  return typeof value === "string" ? value : null;
+}
+
+/**
+ * t(locale, "request.inboxSent", { email }) → localized string with {placeholders} filled.
+ * Missing keys fall back to English, then to the key itself.
+ */
+function t(locale, key, vars = {}) {
+  const template = lookup(catalogs[pickLocale(locale)], key) ?? lookup(catalogs[DEFAULT_LOCALE], key) ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] != null ? String(vars[name]) : match));
+}
+
+// Bound version for one interaction: const tr = translator(interaction.locale); tr("lockout.title")
+function translator(locale) {
+  return (key, vars) => t(locale, key, vars);
+}
+
+// For deploy-commands.js: { "es-ES": "...", "es-419": "...", "fr": "..." } (English is the base value)
+function localizations(key) {
+  const out = {};
+  for (const [lang, discordLocales] of Object.entries(DISCORD_LOCALES)) {
+    const value = lookup(catalogs[lang], key);
+    if (value == null) continue;
+    for (const code of discordLocales) out[code] = value;
+  }
+  return out;
+}
+
+module.exports = { t, translator, localizations, pickLocale, DEFAULT_LOCALE };
@@ -1,13 +1,71 @@
 require("dotenv").config();
-const { Client, GatewayIntentBits, Events, EmbedBuilder, MessageFlags } = require("discord.js");
+const {
+  Client,
+  GatewayIntentBits,
+  Partials,
+  Events,
+  EmbedBuilder,
+  MessageFlags,
+  MessageType,
+  AttachmentBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} = require("discord.js");
 const express = require("express");
-const fs = require("fs");
 const path = require("path");
 
 const logger = require("./logger");
 
-// ✅ IMPORTANT: updated import (see shopify.js patch at bottom)
-const { getPaidLineItemsByEmail } = require("./shopify");
+const {
+  getPaidLineItemsByEmail,
+  getOrderLineItemsByEmail,
+  invalidateOrderCache,
+  shopifyHealth,
+  getOrderEmailById,
+  getEmailsWithOrdersUpdatedSince,
+  getCustomerEmailById,
+  getSubscriptionContractsByEmail,
+  getSubscriptionContractById,
+} = require("./shopify");
+const { createShopifyWebhookRouter } = require("./webhooks");
+const { createAdminApiRouter, parseApiTokens, RECORD_CSV_COLUMNS } = require("./admin-api");
+const { sendVerificationCode } = require("./mailer");
+const {
+  issueCode,
+  checkCode,
+  discardCode,
+  codeAttemptsLockedFor,
+  resetCodeAttempts,
+  CODE_TTL_MINUTES,
+} = require("./verification-codes");
+const {
+  lockoutSecondsLeft,
+  userCooldownSecondsLeft,
+  emailCooldownSecondsLeft,
+  startCooldowns,
+  recordFailure,
+  clearFailures,
+  clearLockout,
+  MAX_FAILURES,
+  FAILURE_WINDOW_MINUTES,
+  LOCKOUT_MINUTES,
+} = require("./verify-limits");
+const { createSqliteRepository } = require("./storage");
+const { emailProtectorFromEnv, isEmailRef } = require("./email-crypto");
+const access = require("./access");
+const { DAY_MS, REVOKED_LABELS, splitItems, contractFields, pickTierContract, isPlainEmail, isLinkedElsewhere } = access;
+const { createGuildRegistry, loadGuildConfigs } = require("./guilds");
+const { toCsv } = require("./csv");
+const { parseBackfillCsv, backfillToCsv, MAX_BACKFILL_ROWS } = require("./backfill");
+const { createAuditDigest, formatDigestEntry } = require("./audit-digest");
+const { createMessageQueue } = require("./log-queue");
+const { findExpiredRecords } = require("./retention");
+const metrics = require("./metrics");
+const { translator } = require("./i18n");
 
 const app = express();
 const PORT = process.env.PORT || 10000;
@@ -15,16 +73,42 @@ const PORT = process.env.PORT || 10000;
 /* =======================
    CONFIG
 ======================= */
-const VERIFY_CHANNEL_NAME = "🔐│verify-access";
-const LOG_CHANNEL_ID = process.env.LOG_CHANNEL_ID || "";
+// Per-guild settings (log/verify channels, tiers file, audit, reminders) live in guilds.js
 const MASK_EMAILS = process.env.MASK_EMAILS === "true";
 const LOG_DEBUG = process.env.LOG_DEBUG === "true";
 
-// ✅ Audit config (Subscription-only enforcement)
-const AUDIT_ENABLED = (process.env.AUDIT_ENABLED ?? "true") === "true";
-const AUDIT_DRY_RUN = (process.env.AUDIT_DRY_RUN ?? "false") === "true"; // set true first if you want "logs only"
+// ✅ Audit schedule (Subscription-only enforcement; per-guild grace/dry-run in guilds.js)
 const AUDIT_INTERVAL_HOURS = Number(process.env.AUDIT_INTERVAL_HOURS ?? "24"); // daily by default
-const AUDIT_GRACE_DAYS = Number(process.env.AUDIT_GRACE_DAYS ?? "35"); // your Day-35 rule
+
+// ✅ Role drift reconciliation schedule (per-guild enable/dry-run in guilds.js)
+const RECONCILE_INTERVAL_HOURS = Number(process.env.RECONCILE_INTERVAL_HOURS ?? "24");
+
+// ✅ Retention purge schedule (per-guild enable/dry-run/days in guilds.js)
+const RETENTION_INTERVAL_HOURS = Number(process.env.RETENTION_INTERVAL_HOURS ?? "24");
+
+// ✅ Pre-expiry reminders (DM, falls back to a channel mention when DMs are closed)
+const REMINDER_DAYS_BEFORE = (process.env.REMINDER_DAYS_BEFORE ?? "7,2")
+  .split(",")
+  .map((d) => Number(d.trim()))
+  .filter((d) => Number.isFinite(d) && d > 0);
+
+// ✅ Shopify webhooks (instant role sync). Use the app's API secret key.
+const SHOPIFY_WEBHOOK_SECRET = process.env.SHOPIFY_WEBHOOK_SECRET || "";
+
+// ✅ /ready turns unhealthy after this many failed Shopify calls in a row
+const READY_SHOPIFY_FAILURES = Number(process.env.READY_SHOPIFY_FAILURES ?? "5");
+
+// ✅ Prometheus /metrics: with METRICS_TOKEN on the main port (Bearer auth), and/or on its own
+// METRICS_PORT bound to METRICS_HOST (private by default). Neither set = not served.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+const METRICS_PORT = process.env.METRICS_PORT ? Number(process.env.METRICS_PORT) : null;
+const METRICS_HOST = process.env.METRICS_HOST || "127.0.0.1";
+
+// ✅ Admin REST API for support tooling ("name:token,name2:token2"; unset = API off)
+const ADMIN_API_TOKENS = parseApiTokens(process.env.ADMIN_API_TOKENS);
+
+// ✅ How long the "use the button" hint stays up after a member types in the verify channel
+const VERIFY_HINT_SECONDS = Number(process.env.VERIFY_HINT_SECONDS ?? "20");
 
 /* =======================
    EXPRESS (Render health)
@@ -33,77 +117,156 @@ app.get("/", (req, res) => {
   res.send("XPLX Access Bot is running ✅");
 });
 
+// Readiness: Discord gateway up + Shopify answering. 503 lets Render restart us.
+app.get("/ready", (req, res) => {
+  const discordReady = client.isReady();
+  const shopify = shopifyHealth();
+  const shopifyOk = shopify.consecutiveFailures < READY_SHOPIFY_FAILURES;
+
+  res.status(discordReady && shopifyOk ? 200 : 503).json({
+    ready: discordReady && shopifyOk,
+    discord: { ready: discordReady, ping: discordReady ? client.ws.ping : null },
+    shopify: { ok: shopifyOk, ...shopify },
+  });
+});
+
+if (METRICS_TOKEN) app.use(metrics.createMetricsRouter({ token: METRICS_TOKEN }));
+
+if (METRICS_PORT) {
+  const metricsApp = express();
+  metricsApp.use(metrics.createMetricsRouter({ token: METRICS_TOKEN || null }));
+  metricsApp.listen(METRICS_PORT, METRICS_HOST, () => {
+    logger.info({ event: "metrics_listening", host: METRICS_HOST, port: METRICS_PORT, auth: !!METRICS_TOKEN });
+  });
+}
+
+if (!METRICS_TOKEN && !METRICS_PORT) {
+  logger.info({ event: "metrics_disabled", reason: "METRICS_TOKEN and METRICS_PORT not set" });
+}
+
+if (SHOPIFY_WEBHOOK_SECRET) {
+  app.use("/webhooks/shopify", createShopifyWebhookRouter({
+    secret: SHOPIFY_WEBHOOK_SECRET,
+    onWebhook: handleShopifyWebhook,
+  }));
+} else {
+  logger.info({ event: "webhooks_disabled", reason: "SHOPIFY_WEBHOOK_SECRET not set" });
+}
+
 app.listen(PORT, () => {
   console.log(`🌐 Web server listening on port ${PORT}`);
 });
 
 /* =======================
    EMAIL ↔ DISCORD STORAGE
-   (Render + GitHub friendly)
+   (SQLite, Render friendly)
 ======================= */
 // ✅ Recommended on Render with Persistent Disk:
-// set EMAIL_MAP_PATH=/var/data/email-map.json
-// and mount disk at /var/data
+// set DATABASE_PATH=/var/data/xplx.db and mount disk at /var/data.
+// An existing EMAIL_MAP_PATH (legacy email-map.json) is imported once on first start.
 const DEFAULT_EMAIL_MAP_PATH = path.join(__dirname, "data", "email-map.json");
 const EMAIL_MAP_PATH = process.env.EMAIL_MAP_PATH || DEFAULT_EMAIL_MAP_PATH;
-
-function ensureDirForFile(filePath) {
-  const dir = path.dirname(filePath);
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-}
-
-function loadEmailMap() {
-  ensureDirForFile(EMAIL_MAP_PATH);
-  if (!fs.existsSync(EMAIL_MAP_PATH)) return {};
-  try {
-    return JSON.parse(fs.readFileSync(EMAIL_MAP_PATH, "utf8"));
-  } catch {
-    return {};
-  }
-}
-
-function saveEmailMap(map) {
-  ensureDirForFile(EMAIL_MAP_PATH);
-  fs.writeFileSync(EMAIL_MAP_PATH, JSON.stringify(map, null, 2));
-}
+const DATABASE_PATH = process.env.DATABASE_PATH || path.join(path.dirname(EMAIL_MAP_PATH), "xplx.db");
+
+// Records are per guild. Rows from the single-guild days (and the JSON import) belong to
+// GUILD_ID, or to the first configured guild.
+// Emails at rest: EMAIL_HASH_KEY (+ optional EMAIL_ENCRYPTION_KEY), see email-crypto.js.
+const emailProtector = emailProtectorFromEnv();
+const repo = createSqliteRepository({
+  dbPath: DATABASE_PATH,
+  importJsonPath: EMAIL_MAP_PATH,
+  legacyGuildId: process.env.GUILD_ID || loadGuildConfigs()[0].guildId,
+  protector: emailProtector,
+});
 
 function normEmail(email) {
   return (email || "").trim().toLowerCase();
 }
 
-function daysBetween(now, past) {
-  return Math.floor((now.getTime() - past.getTime()) / (1000 * 60 * 60 * 24));
-}
+/* =======================
+   GUILDS
+   (one context per served guild)
+======================= */
+// ctx = { guildId, name, logChannelId, verifyChannelName, reminderChannelId, renewalUrl,
+//         audit, reconcile, retention, tierStore, links } — see guilds.js. Everything guild-specific goes through it.
+const guilds = createGuildRegistry({
+  repo,
+  onTierReload: ({ ok, error, config }, contexts) => {
+    for (const ctx of contexts) {
+      postBotLog(ctx, ok ? "tiers_reloaded" : "tiers_reload_failed", {
+        count: config.tiers.length,
+        error,
+        message: ok ? `Active tiers: ${config.tiers.map((t) => t.role).join(" > ")}` : undefined,
+      }, ok ? "INFO" : "ERROR");
+    }
+  },
+});
+
+// Gauge: linked members per effective tier, computed at scrape time
+metrics.setLinkedMembersSource(() => guilds.list().flatMap((ctx) => {
+  const byUser = new Map();
+  for (const rec of ctx.links.listAll()) {
+    if (!rec.discordUserId) continue;
+    byUser.set(rec.discordUserId, [...(byUser.get(rec.discordUserId) || []), rec]);
+  }
+
+  const counts = new Map();
+  for (const records of byUser.values()) {
+    const tier = effectiveRole(ctx, records) ?? baseRoleName(ctx);
+    counts.set(tier, (counts.get(tier) || 0) + 1);
+  }
+  return [...counts].map(([tier, count]) => ({ guild: ctx.guildId, tier, count }));
+}));
 
 /* =======================
    TIERS (HIGH → LOW)
+   (config/tiers.json, hot reloaded)
 ======================= */
-const TIERS = [
-  { product: "ELITE TRADER MENTORSHIP", role: "Elite Member" },
-  { product: "MARKET EXECUTION PROGRAM", role: "Execution Member" },
-  { product: "MARKET FOUNDATION PROGRAM", role: "Foundation Member" },
-  { product: "VIP ACCESS", role: "VIP" },
-  { product: "FREE DISCORD ACCESS", role: "Members" },
-];
+// Match on Shopify product ID, variant ID, SKU or title pattern. Edit the file and it
+// reloads within seconds (a broken edit keeps the previous mapping). /tiers shows what's active.
+const getTiers = (ctx) => ctx.tierStore.get().tiers;
+const baseRoleName = (ctx) => ctx.tierStore.get().baseRole;
+const allRoleNames = (ctx) => [...new Set([baseRoleName(ctx), ...getTiers(ctx).map((t) => t.role)])];
+const findTier = (ctx, roleName) => getTiers(ctx).find((t) => t.role === roleName) || null;
 
-const BASE_ROLE_NAME = "Members";
-const ALL_ROLE_NAMES = TIERS.map((t) => t.role);
+// The rules themselves live in access.js (pure, tested); these bind them to a guild's tiers + audit settings
+const resolveAccessFromItems = (ctx, items) => access.resolveAccessFromItems(getTiers(ctx), items);
 
-function normalize(s) {
-  return (s || "").trim().toLowerCase();
-}
+/* =======================
+   SUBSCRIPTION CONTRACTS
+======================= */
+// Never fails the caller: no contract just means we fall back to paid dates
+async function findTierContract(ctx, email, roleName) {
+  const tier = findTier(ctx, roleName);
+  if (!tier || isEmailRef(email)) return null;
 
-function pickHighestTier(titles) {
-  const normTitles = titles.map(normalize);
-  for (const t of TIERS) {
-    if (normTitles.some((x) => x.includes(normalize(t.product)))) return t;
+  try {
+    return pickTierContract(await getSubscriptionContractsByEmail(email), tier);
+  } catch (err) {
+    logger.warn({ event: "contract_lookup_error", email, error: err?.message || String(err) });
+    return null;
   }
-  return null;
 }
 
-function isTierTitleMatch(lineItemTitle, tierProductName) {
-  return normalize(lineItemTitle).includes(normalize(tierProductName));
-}
+/* =======================
+   MEMBER TIER
+   (union of every linked email)
+======================= */
+const highestRole = (ctx, roleNames) => access.highestRole(getTiers(ctx), roleNames);
+
+// Highest tier backed by any of a member's records (null if none)
+const effectiveRole = (ctx, records, now = new Date()) => access.effectiveRole(getTiers(ctx), records, now, ctx.audit);
+
+// A /link tier from an admin stands until the orders back a higher one
+const keepsManualTier = (ctx, rec, paidRole) => access.keepsManualTier(getTiers(ctx), rec, paidRole);
+
+/* =======================
+   PAYMENT REVOCATIONS
+   (refunds, voids, cancellations, chargebacks)
+======================= */
+// Did refunds/cancellations/chargebacks take away the tier stored on an email? ({ items, reasons } or null)
+const findRevocation = (ctx, storedTier, paidTier, revokedItems) =>
+  access.findRevocation(getTiers(ctx), storedTier, paidTier, revokedItems);
 
 /* =======================
    UI (CONSISTENT MESSAGES)
@@ -112,12 +275,18 @@ function ui(title, lines = []) {
   const body = lines.filter(Boolean).join("\n");
   return `**${title}**\n${body}`;
 }
+
+// Discord rejects messages over 2,000 characters: cut long replies short instead
+const MAX_REPLY_LENGTH = 1900;
+const clampReply = (content) =>
+  content.length > MAX_REPLY_LENGTH ? `${content.slice(0, MAX_REPLY_LENGTH)}\n…truncated` : content;
+
 const bullet = (t) => `• ${t}`;
 const ok = (t) => `✅ ${t}`;
 const warn = (t) => `⚠️ ${t}`;
 const bad = (t) => `❌ ${t}`;
 const hint = (t) => `> 💡 ${t}`;
-const fmtEmail = (e) => `\`${e}\``;
+const fmtEmail = (e) => `\`${isEmailRef(e) ? `${e.slice(0, 17)}…` : e}\``; // hashed-only records show a short key
 const fmtRole = (r) => `**${r}**`;
 
 /* =======================
@@ -130,12 +299,13 @@ function isAdmin(interaction) {
 /* =======================
    ROLE HANDLER
 ======================= */
-async function setExclusiveTierRole(member, guild, roleName) {
+async function setExclusiveTierRole(ctx, member, guild, roleName) {
+  const baseName = baseRoleName(ctx);
   const rolesByName = new Map(guild.roles.cache.map((r) => [r.name, r]));
-  const base = rolesByName.get(BASE_ROLE_NAME);
+  const base = rolesByName.get(baseName);
   const target = rolesByName.get(roleName);
 
-  if (!base) throw new Error(`Base role not found: ${BASE_ROLE_NAME}`);
+  if (!base) throw new Error(`Base role not found: ${baseName}`);
   if (!target) throw new Error(`Target role not found: ${roleName}`);
 
   // Always keep Members
@@ -145,8 +315,8 @@ async function setExclusiveTierRole(member, guild, roleName) {
   await member.roles.add(target);
 
   // Remove other tiers (not Members, not target)
-  const toRemove = ALL_ROLE_NAMES
-    .filter((n) => n !== BASE_ROLE_NAME && n !== roleName)
+  const toRemove = allRoleNames(ctx)
+    .filter((n) => n !== baseName && n !== roleName)
     .map((n) => rolesByName.get(n))
     .filter(Boolean);
 
@@ -154,23 +324,132 @@ async function setExclusiveTierRole(member, guild, roleName) {
 }
 
 // ✅ Used by audit to remove access
-async function downgradeToMembers(member, guild) {
+async function downgradeToMembers(ctx, member, guild) {
+  const baseName = baseRoleName(ctx);
   const rolesByName = new Map(guild.roles.cache.map((r) => [r.name, r]));
-  const base = rolesByName.get(BASE_ROLE_NAME);
-  if (!base) throw new Error(`Base role not found: ${BASE_ROLE_NAME}`);
+  const base = rolesByName.get(baseName);
+  if (!base) throw new Error(`Base role not found: ${baseName}`);
 
   // keep Members
   await member.roles.add(base);
 
   // remove all paid tiers except Members
-  const toRemove = ALL_ROLE_NAMES
-    .filter((n) => n !== BASE_ROLE_NAME)
+  const toRemove = allRoleNames(ctx)
+    .filter((n) => n !== baseName)
     .map((n) => rolesByName.get(n))
     .filter(Boolean);
 
   if (toRemove.length) await member.roles.remove(toRemove);
 }
 
+// Put the member on exactly this tier (null / base role = downgrade)
+async function applyMemberTier(ctx, member, guild, roleName) {
+  if (roleName && roleName !== baseRoleName(ctx)) {
+    await setExclusiveTierRole(ctx, member, guild, roleName);
+  } else {
+    await downgradeToMembers(ctx, member, guild);
+  }
+}
+
+// Re-apply a member's tier from whatever their records still back. Null if they aren't in the guild.
+async function refreshMemberTier(ctx, guild, discordUserId) {
+  const member = await guild.members.fetch(discordUserId).catch(() => null);
+  if (!member) return null;
+
+  const role = effectiveRole(ctx, ctx.links.getByDiscordUser(discordUserId)) ?? baseRoleName(ctx);
+  await applyMemberTier(ctx, member, guild, role);
+  return { member, role };
+}
+
+/* =======================
+   ACCESS HISTORY
+   (append-only ledger)
+======================= */
+const SYSTEM_AUDIT = { actor: "system:audit", actorTag: "audit" };
+const SYSTEM_WEBHOOK = { actor: "system:webhook", actorTag: "webhook" };
+const SYSTEM_RECONCILE = { actor: "system:reconcile", actorTag: "reconcile" };
+const SYSTEM_MEMBERS = { actor: "system:members", actorTag: "members" };
+const SYSTEM_RETENTION = { actor: "system:retention", actorTag: "retention" };
+
+const actorOf = (interaction) => ({ actor: interaction.user.id, actorTag: interaction.user.tag });
+const apiActor = (clientName) => ({ actor: `api:${clientName}`, actorTag: `api:${clientName}` });
+
+// Other emails of a member go in event details as fingerprints, never as addresses
+const emailFingerprints = (emails) => emails.map((email) => repo.emailFingerprint(email));
+
+// A failed ledger write is logged but never breaks the action it describes
+function recordAccessEvent(ctx, event) {
+  try {
+    ctx.links.appendEvent(event);
+  } catch (err) {
+    logger.error({ event: "ledger_write_error", guildId: ctx.guildId, action: event.action, email: event.email, error: err?.message || String(err) });
+  }
+}
+
+const EVENT_CSV_COLUMNS = ["at", "action", "email", "discordUserId", "actor", "actorTag", "beforeTier", "afterTier", "reason", "details"];
+const eventsToCsv = (events) => toCsv(EVENT_CSV_COLUMNS, events);
+
+/* =======================
+   ADMIN ACTIONS
+   (shared by slash commands + admin API)
+======================= */
+// What Shopify says about an email right now (no record changes)
+async function checkShopifyStatus(ctx, email) {
+  const items = await getPaidLineItemsByEmail(email, { fresh: true });
+  return {
+    items,
+    titles: items.map((i) => i.title),
+    tier: resolveAccessFromItems(ctx, items).tier,
+    subscription: items.some((x) => x.isSubscription),
+  };
+}
+
+// Removes a link; with stripRoles, the member keeps only what their other emails back
+async function unlinkEmail(ctx, guild, rec, { actor, actorTag, reason, stripRoles }) {
+  const beforeRole = rec.discordUserId ? effectiveRole(ctx, ctx.links.getByDiscordUser(rec.discordUserId)) : null;
+  ctx.links.delete(rec.email);
+
+  const refreshed = stripRoles && rec.discordUserId && guild
+    ? await refreshMemberTier(ctx, guild, rec.discordUserId)
+    : null;
+
+  recordAccessEvent(ctx, {
+    actor,
+    actorTag,
+    action: "unlink",
+    email: rec.email,
+    discordUserId: rec.discordUserId,
+    beforeTier: beforeRole,
+    afterTier: refreshed?.role ?? null,
+    reason,
+    details: { emailTier: rec.tier, stripRoles, memberFound: !!refreshed },
+  });
+
+  return { beforeRole, refreshed };
+}
+
+/* =======================
+   ADMIN API
+   (token auth, same actions as the slash commands)
+======================= */
+if (ADMIN_API_TOKENS.length) {
+  app.use("/api/admin", createAdminApiRouter({
+    tokens: ADMIN_API_TOKENS,
+    guilds,
+    actions: {
+      checkStatus: checkShopifyStatus,
+      recheck: (ctx, rec, clientName) =>
+        syncLinkedEmail(ctx, rec.email, rec, `api_recheck_${clientName}`, apiActor(clientName)),
+      unlink: (ctx, rec, clientName, { reason, stripRoles }) =>
+        unlinkEmail(ctx, client.guilds.cache.get(ctx.guildId), rec, { ...apiActor(clientName), reason, stripRoles }),
+      log: (ctx, event, payload, level = "INFO") => postBotLog(ctx, event, payload, level),
+    },
+  }));
+  logger.info({ event: "admin_api_enabled", clients: ADMIN_API_TOKENS.map((t) => t.name) });
+} else {
+  logger.info({ event: "admin_api_disabled", reason: "ADMIN_API_TOKENS not set" });
+}
+
 /* =======================
    LOGS (CLEAN EMBEDS)
 ======================= */
@@ -203,16 +482,45 @@ function prettyItems(items = []) {
     .map((i) => {
       const sub = i.isSubscription ? `✅ Sub (${i.sellingPlanName || "plan"})` : "💳 One-time";
       const paidAt = i.paidAt ? ` • 🕒 ${i.paidAt}` : "";
-      return `• ${i.title} — ${sub}${paidAt}`;
+      const order = i.orderName ? ` • ${i.orderName}` : "";
+      const revoked = i.revokedReason ? ` • ↩️ ${REVOKED_LABELS[i.revokedReason] || i.revokedReason}` : "";
+      return `• ${i.title} — ${sub}${order}${paidAt}${revoked}`;
     })
     .join("\n");
 }
 
-async function postBotLog(client, event, payload = {}, level = "INFO") {
-  if (!LOG_CHANNEL_ID) return;
+// Log channel sends are paced per channel and retried; a message that still can't be sent is
+// logged (and counted) instead of disappearing
+const logQueue = createMessageQueue({
+  send: async (channelId, message) => {
+    const channel = await client.channels.fetch(channelId);
+    if (!channel?.isTextBased()) throw Object.assign(new Error("Log channel is not a text channel"), { permanent: true });
+    await channel.send(message);
+  },
+  onFailure: ({ channelId, meta, reason, error, attempts }) => {
+    metrics.botLogFailures.inc({ reason });
+    logger.error({
+      event: "bot_log_send_failed",
+      channelId,
+      guildId: meta.guildId,
+      logEvent: meta.event,
+      level: meta.level,
+      reason,
+      attempts,
+      err: error ? String(error?.message || error) : undefined,
+    });
+  },
+});
 
-  const channel = await client.channels.fetch(LOG_CHANNEL_ID).catch(() => null);
-  if (!channel) return;
+// ctx = the guild whose log channel gets it; null = every guild (bot-wide events)
+// extra.files: attachments sent with the embed
+// Returns once queued; the send itself happens in the background (see log-queue.js)
+async function postBotLog(ctx, event, payload = {}, level = "INFO", extra = {}) {
+  if (!ctx) {
+    await Promise.all(guilds.list().map((g) => postBotLog(g, event, payload, level, extra)));
+    return;
+  }
+  if (!ctx.logChannelId) return;
 
   const safePayload = { ...payload };
   if (MASK_EMAILS && safePayload.email) safePayload.email = maskEmail(safePayload.email);
@@ -234,6 +542,10 @@ async function postBotLog(client, event, payload = {}, level = "INFO") {
   if (typeof safePayload.count === "number") fields.push({ name: "Count", value: `\`${safePayload.count}\``, inline: true });
   if (safePayload.daysSincePaid != null) fields.push({ name: "Days Since Paid", value: `\`${safePayload.daysSincePaid}\``, inline: true });
   if (safePayload.lastPaidAt) fields.push({ name: "Last Paid", value: `\`${safePayload.lastPaidAt}\``, inline: true });
+  if (safePayload.apiClient) fields.push({ name: "API Client", value: `\`${safePayload.apiClient}\``, inline: true });
+  if (safePayload.targetUserId) fields.push({ name: "Member", value: `<@${safePayload.targetUserId}>\n\`${safePayload.targetUserId}\``, inline: true });
+  if (safePayload.reason) fields.push({ name: "Reason", value: String(safePayload.reason).slice(0, 1000), inline: false });
+  if (safePayload.contractId) fields.push({ name: "Contract", value: `\`${safePayload.contractId}\``, inline: true });
   if (safePayload.dryRun != null) fields.push({ name: "Dry Run", value: safePayload.dryRun ? "✅ Yes" : "❌ No", inline: true });
 
   let summary = "";
@@ -266,7 +578,7 @@ async function postBotLog(client, event, payload = {}, level = "INFO") {
     });
   }
 
-  await channel.send({ embeds: [embed] }).catch(() => {});
+  logQueue.push(ctx.logChannelId, { embeds: [embed], files: extra.files || [] }, { guildId: ctx.guildId, event, level });
 }
 
 /* =======================
@@ -279,6 +591,9 @@ const client = new Client({
     GatewayIntentBits.GuildMessages,
     GatewayIntentBits.MessageContent,
   ],
+  // Deletes of uncached messages still arrive, so a removed verify panel is always noticed;
+  // same for members leaving that were never cached (records get marked as left)
+  partials: [Partials.Message, Partials.GuildMember],
 });
 
 /* =======================
@@ -286,121 +601,215 @@ const client = new Client({
    (Day 35 enforcement)
 ======================= */
 function startSubscriptionAuditLoop() {
-  if (!AUDIT_ENABLED) {
-    logger.info({ event: "audit_disabled" });
-    return;
-  }
-
-  const run = () => runSubscriptionAudit().catch((err) => {
-    logger.error({ event: "audit_loop_error", err: String(err) });
+  const audited = guilds.list().filter((ctx) => {
+    if (!ctx.audit.enabled) logger.info({ event: "audit_disabled", guildId: ctx.guildId });
+    return ctx.audit.enabled;
   });
+  if (!audited.length) return;
+
+  // Guilds run one after another so they don't compete for Shopify's rate limit
+  const run = async () => {
+    for (const ctx of audited) {
+      const endTimer = metrics.auditDuration.startTimer({ guild: ctx.guildId });
+      await runSubscriptionAudit(ctx).catch((err) => {
+        logger.error({ event: "audit_loop_error", guildId: ctx.guildId, err: String(err) });
+      });
+      endTimer();
+    }
+  };
 
   // Run 60 seconds after startup, then repeat
   setTimeout(run, 60_000);
   setInterval(run, AUDIT_INTERVAL_HOURS * 60 * 60 * 1000);
 
-  logger.info({
-    event: "audit_loop_started",
-    intervalHours: AUDIT_INTERVAL_HOURS,
-    graceDays: AUDIT_GRACE_DAYS,
-    dryRun: AUDIT_DRY_RUN,
-  });
+  for (const ctx of audited) {
+    logger.info({
+      event: "audit_loop_started",
+      guildId: ctx.guildId,
+      intervalHours: AUDIT_INTERVAL_HOURS,
+      graceDays: ctx.audit.graceDays,
+      paymentGraceDays: ctx.audit.paymentGraceDays,
+      dryRun: ctx.audit.dryRun,
+    });
+  }
 }
 
-async function runSubscriptionAudit() {
-  const map = loadEmailMap();
+async function runSubscriptionAudit(ctx) {
   const now = new Date();
+  const { links, audit } = ctx;
 
-  await postBotLog(client, "audit_start", {
-    message: `Audit started • grace=${AUDIT_GRACE_DAYS}d • interval=${AUDIT_INTERVAL_HOURS}h • dryRun=${AUDIT_DRY_RUN}`,
-  }, "INFO");
+  // Per-member events go into one digest posted at the end (see audit-digest.js)
+  const digest = createAuditDigest({ maskEmail: MASK_EMAILS ? maskEmail : undefined });
+  const settings = `grace=${audit.graceDays}d • paymentGrace=${audit.paymentGraceDays}d • interval=${AUDIT_INTERVAL_HOURS}h • dryRun=${audit.dryRun}`;
+
+  // Refunds / cancellations / chargebacks first, for one-time purchases too
+  await auditRevokedPayments(ctx, digest);
+
+  const records = links.listSubscriptions();
+  logger.info({ event: "audit_start", guildId: ctx.guildId, subscriptions: records.length, dryRun: audit.dryRun });
 
-  for (const [email, rec] of Object.entries(map)) {
+  for (const rec of records) {
+    const { email } = rec;
     try {
       // ✅ subscription-only gate
       if (!rec || rec.isSubscription !== true) continue;
       if (!rec.discordUserId) continue;
 
-      // If lastPaidAt is missing, skip (don’t accidentally remove anyone)
-      if (!rec.lastPaidAt) {
-        await postBotLog(client, "audit_skip_missing_lastPaidAt", {
-          email,
-          userId: rec.discordUserId,
-          userTag: rec.userTag,
-          message: "Record missing lastPaidAt; skipping for safety.",
-        }, "WARN");
+      // Already downgraded: nothing left to take away
+      if (!rec.tier || rec.tier === baseRoleName(ctx)) continue;
+
+      // Not in the server: checked again (live) when they rejoin
+      if (rec.leftAt) {
+        const guild = client.guilds.cache.get(ctx.guildId);
+        const back = guild && await guild.members.fetch(rec.discordUserId).catch(() => null);
+        // Rejoined while the bot was offline: audited as usual from the next run
+        if (back && !audit.dryRun) clearRecordsLeft(ctx, links.getByDiscordUser(rec.discordUserId));
         continue;
       }
 
-      const lastPaidDate = new Date(rec.lastPaidAt);
-      if (Number.isNaN(lastPaidDate.getTime())) {
-        await postBotLog(client, "audit_skip_invalid_lastPaidAt", {
+      // ✅ Contract state first (annual plans, pauses, billing retries)
+      const contract = rec.contractId
+        ? await getSubscriptionContractById(rec.contractId)
+        : await findTierContract(ctx, email, rec.tier);
+
+      // No contract → Day-35 rule on lastPaidAt; missing/invalid lastPaidAt is skipped (don’t accidentally remove anyone)
+      const decision = access.decideSubscriptionAccess(rec, contract, now, audit);
+      const daysSincePaid = decision.daysSincePaid ?? null;
+
+      if (decision.action === "skip") {
+        digest.add(`audit_skip_${decision.reason}`, {
           email,
           userId: rec.discordUserId,
           userTag: rec.userTag,
-          lastPaidAt: rec.lastPaidAt,
-          message: "Invalid lastPaidAt format; skipping for safety.",
+          lastPaidAt: rec.lastPaidAt || undefined,
+          message: decision.reason === "missing_lastPaidAt"
+            ? "Record missing lastPaidAt; skipping for safety."
+            : "Invalid lastPaidAt format; skipping for safety.",
         }, "WARN");
         continue;
       }
 
-      const daysSincePaid = daysBetween(now, lastPaidDate);
-
-      if (daysSincePaid < AUDIT_GRACE_DAYS) {
-        // optional: log only when close to expiry (reduce noise)
+      if (decision.action !== "downgrade") {
+        if (decision.action === "grace" && !rec.paymentFailedAt) {
+          digest.add("audit_payment_failed_grace", {
+            email,
+            userId: rec.discordUserId,
+            userTag: rec.userTag,
+            contractId: contract?.id,
+            dryRun: audit.dryRun,
+            message: `Billing failed; access kept for ${audit.paymentGraceDays}d while Shopify retries.`,
+          }, "WARN");
+
+          if (!audit.dryRun) {
+            recordAccessEvent(ctx, {
+              ...SYSTEM_AUDIT,
+              action: "audit_grace",
+              email,
+              discordUserId: rec.discordUserId,
+              beforeTier: rec.tier,
+              afterTier: rec.tier,
+              reason: decision.reason,
+              details: { contractId: contract?.id, accessEndsAt: decision.accessEndsAt },
+            });
+          }
+        }
+
+        // Heads-up before the cutoff (once per threshold per billing cycle)
+        const reminders = decision.accessEndsAt
+          ? await maybeSendExpiryReminder(ctx, rec, decision, now, digest)
+          : null;
+
+        // Keep the stored contract state fresh for /lookup
+        if ((contract || reminders) && !audit.dryRun) {
+          links.upsert(email, {
+            ...rec,
+            ...(contract ? contractFields(contract) : {}),
+            paymentFailedAt: decision.paymentFailedAt,
+            ...(reminders ? { reminders } : {}),
+          });
+        }
         continue;
       }
 
       // Fetch member live
-      const guild = client.guilds.cache.first();
+      const guild = client.guilds.cache.get(ctx.guildId);
       if (!guild) continue;
 
       const member = await guild.members.fetch(rec.discordUserId).catch(() => null);
       if (!member) {
-        await postBotLog(client, "audit_member_not_found", {
+        // Left while the bot was offline: flag it once instead of logging this every run
+        if (!audit.dryRun) markRecordsLeft(ctx, links.getByDiscordUser(rec.discordUserId));
+
+        digest.add("audit_member_not_found", {
           email,
           userId: rec.discordUserId,
           userTag: rec.userTag,
           daysSincePaid,
           lastPaidAt: rec.lastPaidAt,
+          contractId: contract?.id,
+          message: `${decision.reason}${audit.dryRun ? "" : " • marked as left; the tier is re-checked if they rejoin"}`,
         }, "WARN");
         continue;
       }
 
-      await postBotLog(client, "audit_overdue_detected", {
+      // Only downgrade when no other linked email still backs a paid tier
+      const otherRecords = links.getByDiscordUser(rec.discordUserId).filter((r) => r.email !== email);
+      const { keepRole, covered, grantedRole } = access.decideDowngrade(getTiers(ctx), baseRoleName(ctx), otherRecords, now, audit);
+
+      digest.add(covered ? "audit_overdue_covered" : "audit_overdue_detected", {
         email,
         userId: rec.discordUserId,
         userTag: rec.userTag,
         daysSincePaid,
         lastPaidAt: rec.lastPaidAt,
-        dryRun: AUDIT_DRY_RUN,
-      }, "WARN");
+        contractId: contract?.id,
+        matchedRole: covered ? keepRole : undefined,
+        dryRun: audit.dryRun,
+        message: covered
+          ? `${decision.reason} • another linked email still backs a paid tier; keeping that tier.`
+          : decision.reason,
+      }, covered ? "INFO" : "WARN");
 
-      if (AUDIT_DRY_RUN) continue;
+      if (audit.dryRun) continue;
 
-      await downgradeToMembers(member, guild);
+      await applyMemberTier(ctx, member, guild, grantedRole);
+      if (!covered) metrics.downgrades.inc({ guild: ctx.guildId, source: "audit" });
 
-      // Update record so you can see audit actions
-      map[email] = {
+      // Update record so you can see audit actions (this email no longer backs a tier)
+      links.upsert(email, {
         ...rec,
-        tier: BASE_ROLE_NAME,
+        ...(contract ? contractFields(contract) : {}),
+        paymentFailedAt: decision.paymentFailedAt,
+        tier: baseRoleName(ctx),
         lastAuditAt: new Date().toISOString(),
-        lastAuditReason: `overdue_${daysSincePaid}d`,
+        lastAuditReason: `${decision.reason}${covered ? "_covered" : ""}`,
         updatedAt: new Date().toISOString(),
-      };
-      saveEmailMap(map);
+      });
+
+      recordAccessEvent(ctx, {
+        ...SYSTEM_AUDIT,
+        action: covered ? "audit_kept" : "downgrade",
+        email,
+        discordUserId: rec.discordUserId,
+        beforeTier: highestRole(ctx, [rec.tier, keepRole]),
+        afterTier: grantedRole,
+        reason: decision.reason,
+        details: { contractId: contract?.id, daysSincePaid, lastPaidAt: rec.lastPaidAt },
+      });
 
-      await postBotLog(client, "audit_downgrade_success", {
+      digest.add(covered ? "audit_tier_kept" : "audit_downgrade_success", {
         email,
         userId: rec.discordUserId,
         userTag: rec.userTag,
         daysSincePaid,
         lastPaidAt: rec.lastPaidAt,
-        grantedRole: BASE_ROLE_NAME,
+        contractId: contract?.id,
+        grantedRole,
+        message: decision.reason,
       }, "SUCCESS");
 
     } catch (err) {
-      await postBotLog(client, "audit_error", {
+      digest.add("audit_error", {
         email,
         userId: rec?.discordUserId,
         userTag: rec?.userTag,
@@ -409,212 +818,1990 @@ async function runSubscriptionAudit() {
     }
   }
 
-  await postBotLog(client, "audit_end", {
-    message: "Audit finished ✅",
-  }, "INFO");
+  await postAuditDigest(ctx, digest, records.length, settings, now);
 }
 
-client.once(Events.ClientReady, async (c) => {
-  console.log(`✅ Logged in as ${c.user.tag}`);
-  await postBotLog(client, "bot_online", { userTag: c.user.tag, userId: c.user.id }, "INFO");
+const DIGEST_TOP_ENTRIES = 10;
 
-  // ✅ Start audit loop after bot is online
-  startSubscriptionAuditLoop();
-});
+// audit_end: counts by outcome + the worst entries in the embed, every entry in the CSV
+async function postAuditDigest(ctx, digest, checked, settings, startedAt) {
+  const counts = digest.counts();
+  const lines = [`Audit finished ✅ • ${checked} subscription(s) checked • ${settings}`];
 
-/* =======================
-   COMMAND HANDLER
-======================= */
-client.on(Events.InteractionCreate, async (interaction) => {
-  if (!interaction.isChatInputCommand()) return;
+  if (counts.length) {
+    lines.push("", "**By outcome**", ...counts.map(([event, n]) => `• \`${event}\` × ${n}`));
+    lines.push("", "**Top entries**", ...digest.top(DIGEST_TOP_ENTRIES).map((e) => formatDigestEntry(e)));
+    if (digest.entries.length > DIGEST_TOP_ENTRIES) lines.push(`… +${digest.entries.length - DIGEST_TOP_ENTRIES} more in the CSV`);
+  } else {
+    lines.push("", "Nothing to report.");
+  }
 
-  const cmd = interaction.commandName;
-  if (cmd !== "verify" && cmd !== "lookup" && cmd !== "status") return;
+  let message = lines.join("\n");
+  if (message.length > 4000) message = `${message.slice(0, 3990)}\n…`;
 
-  // Admin commands: logs channel only + admins only
-  if (cmd === "lookup" || cmd === "status") {
-    if (LOG_CHANNEL_ID && interaction.channelId !== LOG_CHANNEL_ID) {
-      return interaction.reply({
-        content: ui("Restricted command", [
-          bad("Use this command in the bot logs channel only."),
-        ]),
-        flags: MessageFlags.Ephemeral,
-      });
-    }
-    if (!isAdmin(interaction)) {
-      return interaction.reply({
-        content: ui("Restricted command", [
-          bad("Admin only."),
-        ]),
-        flags: MessageFlags.Ephemeral,
-      });
-    }
-  }
+  const files = digest.entries.length
+    ? [new AttachmentBuilder(Buffer.from(digest.toCsv(), "utf8"), {
+      name: `audit-${ctx.guildId}-${startedAt.toISOString().slice(0, 16).replace(/[:T]/g, "")}.csv`,
+    })]
+    : [];
 
-  /* =====================
-     /lookup (ADMIN)
-  ===================== */
-  if (cmd === "lookup") {
-    const email = normEmail(interaction.options.getString("email"));
-    const map = loadEmailMap();
-    const entry = map[email];
+  logger.info({ event: "audit_end", guildId: ctx.guildId, subscriptions: checked, outcomes: Object.fromEntries(counts) });
+  await postBotLog(ctx, "audit_end", { message, count: digest.entries.length, dryRun: ctx.audit.dryRun }, digest.level(), { files });
+}
 
-    await postBotLog(client, "admin_lookup", {
-      email,
-      userTag: interaction.user.tag,
-      userId: interaction.user.id,
-      found: Boolean(entry),
-    }, "INFO");
+// First payment check after an upgrade (or on a fresh database) looks this far back
+const REVOCATION_FIRST_LOOKBACK_DAYS = 30;
 
-    if (!entry) {
-      return interaction.reply({
-        content: ui("Lookup result", [
-          warn(`No record found for ${fmtEmail(email)}.`),
-          hint("That email may not have verified yet."),
-        ]),
-        flags: MessageFlags.Ephemeral,
-      });
-    }
+// Emails granting a paid tier whose orders changed since the last check: drop the tier if its payment
+// was refunded, voided, cancelled or disputed. Catches what the refund / dispute webhooks missed.
+async function auditRevokedPayments(ctx, digest) {
+  const { links, audit } = ctx;
 
-    return interaction.reply({
-      content: ui("Lookup result", [
-        ok("Record found."),
-        bullet(`Email: ${fmtEmail(email)}`),
-        bullet(`Discord User ID: \`${entry.discordUserId}\``),
-        bullet(`User Tag: **${entry.userTag || "unknown"}**`),
-        bullet(`Tier: ${fmtRole(entry.tier || "unknown")}`),
-        bullet(`Subscription: ${entry.isSubscription ? "✅ yes" : "❌ no"}`),
-        bullet(`Last Paid: \`${entry.lastPaidAt || "unknown"}\``),
-        bullet(`Updated: \`${entry.updatedAt || "unknown"}\``),
-      ]),
-      flags: MessageFlags.Ephemeral,
-    });
-  }
+  const checkedAt = new Date().toISOString();
+  const since = links.getSetting("revocation_checked_at")
+    || new Date(Date.now() - REVOCATION_FIRST_LOOKBACK_DAYS * DAY_MS).toISOString();
 
-  /* =====================
-     /status (ADMIN)
-  ===================== */
-  if (cmd === "status") {
-    const statusEmail = normEmail(interaction.options.getString("email"));
-    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  let changed;
+  try {
+    changed = await getEmailsWithOrdersUpdatedSince(since);
+  } catch (err) {
+    digest.add("audit_error", { error: `Changed orders since ${since}: ${err?.message || String(err)}` }, "ERROR");
+    return;
+  }
 
+  // Shopify gives us the address, so records that only hold the hashed key are checked too
+  let errors = 0;
+  for (const email of changed) {
+    let rec = null;
     try {
-      const items = await getPaidLineItemsByEmail(statusEmail);
-      const titles = items.map((i) => i.title);
-      const tier = pickHighestTier(titles);
+      rec = links.getByEmail(email);
+      if (!rec?.discordUserId || !rec.tier || rec.tier === baseRoleName(ctx)) continue;
+      if (rec.manualTier) continue; // granted by an admin, not by an order
+      rec = { ...rec, email };
 
-      await postBotLog(client, "admin_status", {
-        email: statusEmail,
-        userTag: interaction.user.tag,
-        userId: interaction.user.id,
-        items,
-        titles,
-        matchedRole: tier?.role ?? null,
-        subscription: items.some((x) => x.isSubscription),
-        count: items.length,
-      }, "INFO");
+      const { paid, revoked } = splitItems(await getOrderLineItemsByEmail(email));
+      if (!revoked.length) continue;
 
-      return interaction.editReply(
-        ui("Shopify status", [
-          bullet(`Email: ${fmtEmail(statusEmail)}`),
-          bullet(`Items: \`${items.length}\``),
-          bullet(`Matched Tier: ${fmtRole(tier?.role ?? "none")}`),
-          bullet(`Subscription: ${items.some((x) => x.isSubscription) ? "✅ yes" : "❌ no"}`),
-          hint("If tier is wrong, update the TIERS mapping in index.js."),
-        ])
-      );
+      const { tier } = resolveAccessFromItems(ctx, paid);
+      const revocation = findRevocation(ctx, rec.tier, tier, revoked);
+      if (!revocation) continue;
+
+      if (audit.dryRun) {
+        digest.add("payment_revoked", {
+          email,
+          userId: rec.discordUserId,
+          userTag: rec.userTag,
+          targetUserId: rec.discordUserId,
+          items: revocation.items,
+          reason: revocation.reasons.map((r) => REVOKED_LABELS[r] || r).join(", "),
+          dryRun: true,
+        }, "WARN");
+        continue;
+      }
+
+      // Same path as a refund webhook (order lookup is cached, so no second fetch)
+      await syncLinkedEmail(ctx, email, rec, "audit_payment_check", SYSTEM_AUDIT, digest.add);
     } catch (err) {
-      await postBotLog(client, "admin_status_error", {
-        email: statusEmail,
-        userTag: interaction.user.tag,
-        userId: interaction.user.id,
+      errors++;
+      digest.add("audit_error", {
+        email,
+        userId: rec?.discordUserId,
+        userTag: rec?.userTag,
         error: err?.message || String(err),
       }, "ERROR");
-
-      return interaction.editReply(
-        ui("Shopify status failed", [
-          bad("Shopify lookup failed."),
-          hint("Try again in 30 seconds."),
-        ])
-      );
     }
   }
 
-  /* =====================
-     /verify (EVERYONE)
-  ===================== */
-  const email = normEmail(interaction.options.getString("email"));
-  const emailMap = loadEmailMap();
-
-  logger.info({
-    event: "verify_requested",
-    email,
-    userTag: interaction.user.tag,
-    userId: interaction.user.id,
-    guildId: interaction.guild?.id,
-    at: new Date().toISOString(),
-  });
+  // Dry runs and runs with errors leave the mark alone, so the next run looks at the same orders again
+  if (!audit.dryRun && !errors) links.setSetting("revocation_checked_at", checkedAt);
+}
 
-  await postBotLog(client, "verify_requested", {
-    email,
-    userTag: interaction.user.tag,
-    userId: interaction.user.id,
-    guildId: interaction.guild?.id,
-  }, "INFO");
+/* =======================
+   ROLE RECONCILIATION
+   (Discord roles ↔ email map)
+======================= */
+/**
+ * Compares the tier roles members hold in Discord with what their records back.
+ * Returns { scanned, orphans, mismatches, missing }:
+ *   orphans     hold a paid tier role but have no linked email
+ *   mismatches  linked, but their tier roles aren't exactly the tier their records back
+ *   missing     linked emails whose member isn't in the guild
+ */
+async function findRoleDrift(ctx, guild, now = new Date()) {
+  const base = baseRoleName(ctx);
+  const paidRoleNames = new Set(allRoleNames(ctx).filter((n) => n !== base));
+  const members = await guild.members.fetch();
+
+  const recordsByUser = new Map();
+  for (const rec of ctx.links.listAll()) {
+    if (!rec.discordUserId) continue;
+    recordsByUser.set(rec.discordUserId, [...(recordsByUser.get(rec.discordUserId) || []), rec]);
+  }
 
-  // Invalid email
-  if (!email || !email.includes("@")) {
-    await postBotLog(client, "verify_invalid_email", {
-      email,
-      userTag: interaction.user.tag,
-      userId: interaction.user.id,
-    }, "WARN");
+  const orphans = [];
+  const mismatches = [];
+  for (const member of members.values()) {
+    if (member.user.bot) continue;
 
-    return interaction.reply({
-      content: ui("Email not valid", [
-        bad("That doesn’t look like a real email."),
-        hint("Use the exact email you used at Shopify checkout."),
-      ]),
-      flags: MessageFlags.Ephemeral,
-    });
-  }
+    const held = member.roles.cache.filter((r) => paidRoleNames.has(r.name)).map((r) => r.name);
+    const records = recordsByUser.get(member.id);
 
-  // Email already linked to someone else (allow same user re-verify)
-  if (emailMap[email] && emailMap[email].discordUserId !== interaction.user.id) {
-    await postBotLog(client, "verify_email_already_linked", {
-      email,
-      userTag: interaction.user.tag,
-      userId: interaction.user.id,
-      existingUserId: emailMap[email].discordUserId,
-    }, "WARN");
+    if (!records) {
+      if (held.length) orphans.push({ userId: member.id, userTag: member.user.tag, held, expected: null, emails: [] });
+      continue;
+    }
 
-    return interaction.reply({
-      content: ui("Email already linked", [
-        bad("That email is already linked to another Discord account."),
-        bullet("If this is your email, open a support ticket."),
-        hint("We can unlink it after confirming ownership."),
-      ]),
-      flags: MessageFlags.Ephemeral,
-    });
+    const expected = effectiveRole(ctx, records, now) ?? base;
+    const shouldHold = expected === base ? [] : [expected];
+    if (held.length !== shouldHold.length || !held.every((r) => shouldHold.includes(r))) {
+      mismatches.push({ userId: member.id, userTag: member.user.tag, held, expected, emails: records.map((r) => r.email) });
+    }
   }
 
-  await interaction.reply({
-    content: ui("Checking your purchase…", [
-      bullet("Searching Shopify for a **paid** order"),
-      hint("This usually takes a few seconds."),
-    ]),
-    flags: MessageFlags.Ephemeral,
-  });
+  const missing = [...recordsByUser]
+    .filter(([userId]) => !members.has(userId))
+    .map(([userId, records]) => ({ userId, userTag: records[0].userTag, held: [], expected: null, emails: records.map((r) => r.email) }));
 
-  try {
-    // ✅ IMPORTANT: shopify helper now returns items that MAY include paidAt on each item (see patch below)
-    const items = await getPaidLineItemsByEmail(email);
+  return { scanned: members.size, orphans, mismatches, missing };
+}
 
-    const titles = items.map((i) => i.title);
+// Orphans drop to the base role, mismatches get the tier their records back. Missing members can't be fixed.
+async function fixRoleDrift(ctx, guild, drift, actor) {
+  let fixed = 0;
+  let failed = 0;
 
-    const tier = pickHighestTier(titles);
+  for (const d of [...drift.orphans, ...drift.mismatches]) {
+    try {
+      const member = await guild.members.fetch(d.userId);
+      await applyMemberTier(ctx, member, guild, d.expected);
+
+      recordAccessEvent(ctx, {
+        ...actor,
+        action: "reconcile",
+        email: d.emails[0] ?? null,
+        discordUserId: d.userId,
+        beforeTier: highestRole(ctx, d.held),
+        afterTier: d.expected ?? baseRoleName(ctx),
+        reason: d.expected ? "role_mismatch" : "orphan_role",
+        details: { held: d.held, emails: emailFingerprints(d.emails) },
+      });
+      fixed++;
+    } catch (err) {
+      failed++;
+      logger.error({ event: "reconcile_fix_error", guildId: ctx.guildId, userId: d.userId, error: err?.message || String(err) });
+    }
+  }
+  return { fixed, failed };
+}
+
+const DRIFT_CSV_COLUMNS = ["kind", "userId", "userTag", "held", "expected", "emails"];
+
+function driftToCsv(drift) {
+  const rows = [
+    ...drift.orphans.map((d) => ({ kind: "orphan", ...d })),
+    ...drift.mismatches.map((d) => ({ kind: "mismatch", ...d })),
+    ...drift.missing.map((d) => ({ kind: "missing", ...d })),
+  ].map((d) => ({ ...d, held: d.held.join("; "), emails: d.emails.join("; ") }));
+  return toCsv(DRIFT_CSV_COLUMNS, rows);
+}
+
+function describeDrift(d) {
+  const who = `<@${d.userId}>`;
+  if (!d.emails.length) return `${who} holds ${d.held.map(fmtRole).join(", ")} • no linked email`;
+  if (!d.held.length && !d.expected) return `${who} not in server • ${d.emails.map(fmtEmail).join(", ")}`;
+  return `${who} holds ${d.held.length ? d.held.map(fmtRole).join(", ") : "no tier role"} • records back ${fmtRole(d.expected)}`;
+}
+
+function startReconcileLoop() {
+  const scheduled = guilds.list().filter((ctx) => ctx.reconcile.enabled);
+  if (!scheduled.length) {
+    logger.info({ event: "reconcile_disabled" });
+    return;
+  }
+
+  const run = async () => {
+    for (const ctx of scheduled) {
+      await runReconcile(ctx).catch((err) => {
+        logger.error({ event: "reconcile_loop_error", guildId: ctx.guildId, err: String(err) });
+      });
+    }
+  };
+
+  // Offset from the audit so both don't hit Discord at once
+  setTimeout(run, 5 * 60_000);
+  setInterval(run, RECONCILE_INTERVAL_HOURS * 60 * 60 * 1000);
+
+  for (const ctx of scheduled) {
+    logger.info({ event: "reconcile_loop_started", guildId: ctx.guildId, intervalHours: RECONCILE_INTERVAL_HOURS, dryRun: ctx.reconcile.dryRun });
+  }
+}
+
+async function runReconcile(ctx) {
+  const guild = client.guilds.cache.get(ctx.guildId);
+  if (!guild) return;
+
+  const drift = await findRoleDrift(ctx, guild);
+  const { dryRun } = ctx.reconcile;
+  const result = dryRun ? null : await fixRoleDrift(ctx, guild, drift, SYSTEM_RECONCILE);
+
+  const found = drift.orphans.length + drift.mismatches.length;
+  const sample = [...drift.orphans, ...drift.mismatches].slice(0, 10).map((d) => bullet(describeDrift(d)));
+
+  await postBotLog(ctx, "reconcile_report", {
+    count: found,
+    dryRun,
+    message: [
+      `Scanned ${drift.scanned} • orphans ${drift.orphans.length} • mismatches ${drift.mismatches.length} • missing ${drift.missing.length}`,
+      result ? `Fixed ${result.fixed}${result.failed ? ` • failed ${result.failed}` : ""}` : "Dry run: nothing changed",
+      ...sample,
+      found > sample.length ? `… +${found - sample.length} more (\`/reconcile csv:true\`)` : null,
+    ].filter(Boolean).join("\n"),
+  }, found ? "WARN" : "INFO");
+}
+
+/* =======================
+   BACKFILL
+   (pre-bot customers from a CSV, see backfill.js)
+======================= */
+const BACKFILL_MAX_BYTES = 1024 * 1024;
+const BACKFILL_PROGRESS_MS = 3000;
+
+// username / legacy tag (lowercased) → member, for CSV rows that name members instead of IDs
+function indexMembersByName(members) {
+  const byName = new Map();
+  for (const member of members.values()) {
+    byName.set(member.user.username.toLowerCase(), member);
+    if (member.user.tag !== member.user.username) byName.set(member.user.tag.toLowerCase(), member);
+  }
+  return byName;
+}
+
+/**
+ * One CSV row: the same Shopify lookup and tier decision as /verify, then (unless dryRun) the
+ * record, the member's roles and a ledger event. Never throws: failures come back as result "error".
+ */
+async function backfillRow(ctx, guild, row, member, { dryRun, actor }) {
+  const { links } = ctx;
+  const { email } = row;
+  const discordUserId = member?.id ?? row.discordUserId ?? null;
+  const result = {
+    row: row.row,
+    email,
+    input: row.discordUserId ?? row.username,
+    discordUserId,
+    userTag: member?.user.tag ?? null,
+  };
+
+  if (!discordUserId) return { ...result, result: "member_not_found" };
+  if (member?.user.bot) return { ...result, result: "skipped_bot" };
+
+  try {
+    const existing = links.getByEmail(email);
+    if (existing && existing.discordUserId === discordUserId) {
+      return { ...result, result: "already_linked", tier: existing.tier };
+    }
+
+    const decision = access.decideVerification({
+      tiers: getTiers(ctx),
+      audit: ctx.audit,
+      email,
+      discordUserId,
+      linkedRecord: existing,
+      userRecords: links.getByDiscordUser(discordUserId),
+      items: await getOrderLineItemsByEmail(email),
+    });
+
+    if (decision.outcome === "linked_elsewhere") {
+      return { ...result, result: "linked_elsewhere", note: `linked to ${existing.discordUserId}` };
+    }
+    if (decision.outcome === "no_paid_orders") {
+      return { ...result, result: "no_paid_orders", note: decision.lostToRevocation ? "refunded / cancelled / disputed" : null };
+    }
+    if (decision.outcome === "tier_mismatch") {
+      return { ...result, result: "tier_mismatch", note: decision.titles.slice(0, 5).join("; ") };
+    }
+
+    const { tier, isSubscription, lastPaidAt, beforeRole, grantedRole } = decision;
+    const contract = isSubscription ? await findTierContract(ctx, email, tier.role) : null;
+    const granted = {
+      ...result,
+      tier: tier.role,
+      isSubscription,
+      lastPaidAt,
+      contractId: contract?.id ?? null,
+      grantedRole,
+      note: member ? null : "not in server; roles apply when they rejoin",
+    };
+    if (dryRun) return { ...granted, result: "would_link" };
+
+    links.upsert(email, {
+      discordUserId,
+      userTag: member?.user.tag ?? null,
+      tier: tier.role,
+      manualTier: false,
+      isSubscription,
+      lastPaidAt,
+      ...(contract ? contractFields(contract) : {}),
+      linkedBy: actor.actor,
+      linkReason: "backfill",
+      updatedAt: new Date().toISOString(),
+    });
+
+    const refreshed = member ? await refreshMemberTier(ctx, guild, discordUserId) : null;
+
+    recordAccessEvent(ctx, {
+      ...actor,
+      action: "backfill",
+      email,
+      discordUserId,
+      beforeTier: beforeRole,
+      afterTier: refreshed?.role ?? grantedRole,
+      reason: "backfill",
+      details: { emailTier: tier.role, isSubscription, contractId: contract?.id, row: row.row, memberFound: !!refreshed },
+    });
+
+    return { ...granted, grantedRole: refreshed?.role ?? grantedRole, result: "linked" };
+  } catch (err) {
+    logger.error({ event: "backfill_row_error", guildId: ctx.guildId, row: row.row, email, error: err?.message || String(err) });
+    return { ...result, result: "error", note: err?.message || String(err) };
+  }
+}
+
+/**
+ * Runs every parsed row in order (Shopify throttling is handled in shopify.js).
+ * onProgress(done, total) is called after each row. Returns the per-row results.
+ */
+async function runBackfill(ctx, guild, rows, { dryRun, actor, onProgress }) {
+  const members = await guild.members.fetch();
+  const byName = indexMembersByName(members);
+
+  const results = [];
+  for (const row of rows) {
+    const member = row.discordUserId
+      ? members.get(row.discordUserId) ?? null
+      : byName.get(row.username.toLowerCase()) ?? null;
+
+    results.push(await backfillRow(ctx, guild, row, member, { dryRun, actor }));
+    await onProgress?.(results.length, rows.length);
+  }
+  return results;
+}
+
+// { linked: 12, no_paid_orders: 3, ... } in first-seen order
+function tallyBackfill(results) {
+  const counts = new Map();
+  for (const r of results) counts.set(r.result, (counts.get(r.result) || 0) + 1);
+  return counts;
+}
+
+/**
+ * The report's CSV lists customer emails, so it only goes to the admin who ran /backfill: the
+ * ephemeral reply, or a DM when a big file outlived the 15-minute interaction token.
+ * Never throws; when neither works the log channel says so (without the CSV).
+ */
+async function deliverBackfillReport(ctx, interaction, report) {
+  if (await interaction.editReply(report).then(() => true, () => false)) return;
+  if (await interaction.user.send(report).then(() => true, () => false)) return;
+
+  logger.error({ event: "backfill_report_undelivered", guildId: ctx.guildId, userId: interaction.user.id });
+  await postBotLog(ctx, "admin_backfill_report_undelivered", {
+    userTag: interaction.user.tag,
+    userId: interaction.user.id,
+    message: "The /backfill report couldn’t be delivered (interaction expired, DMs closed). Linked rows are in the access history (`backfill`).",
+  }, "WARN");
+}
+
+/* =======================
+   DATA DELETION
+   (/forget-me, /forget, retention purge)
+======================= */
+const FORGET_IDS = {
+  confirm: "forget-me:confirm",
+  cancel: "forget-me:cancel",
+};
+
+/**
+ * Deletes records and redacts their emails in the access history. Emails only ever leave
+ * this function as fingerprints. Returns the fingerprints.
+ */
+function deleteRecords(ctx, records) {
+  const fingerprints = records.map((r) => repo.emailFingerprint(r.email));
+  ctx.links.transaction(() => {
+    records.forEach((rec, i) => ctx.links.forgetEmail(rec.email, fingerprints[i]));
+  });
+  return fingerprints;
+}
+
+/**
+ * Everything we hold on a member in this guild: records, history emails (including ones unlinked
+ * earlier), a pending verify code. Paid tiers are stripped when they're in the server.
+ * Returns { count, fingerprints, inGuild, rolesStripped }.
+ */
+async function forgetMember(ctx, guild, discordUserId, { actor, actorTag, reason }) {
+  const records = ctx.links.getByDiscordUser(discordUserId);
+  const beforeRole = effectiveRole(ctx, records);
+  const fingerprints = [...new Set([...deleteRecords(ctx, records), ...ctx.links.forgetDiscordUser(discordUserId)])];
+  discardCode(discordUserId);
+
+  // The data is gone either way: a role error is logged, not thrown
+  const member = await guild.members.fetch(discordUserId).catch(() => null);
+  const rolesStripped = member
+    ? await downgradeToMembers(ctx, member, guild).then(() => true, (err) => {
+      logger.error({ event: "forget_roles_error", guildId: ctx.guildId, userId: discordUserId, error: err?.message || String(err) });
+      return false;
+    })
+    : false;
+
+  recordAccessEvent(ctx, {
+    actor,
+    actorTag,
+    action: "forget",
+    email: null,
+    discordUserId,
+    beforeTier: beforeRole,
+    afterTier: rolesStripped ? baseRoleName(ctx) : null,
+    reason,
+    details: { emails: fingerprints, rolesStripped },
+  });
+  logger.info({ event: "member_forgotten", guildId: ctx.guildId, userId: discordUserId, actor, reason, emails: fingerprints });
+  if (rolesStripped && beforeRole) metrics.downgrades.inc({ guild: ctx.guildId, source: "forget" });
+
+  return { count: records.length, fingerprints, inGuild: !!member, rolesStripped };
+}
+
+function forgetConfirmRow(tr) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(FORGET_IDS.confirm).setLabel(tr("forget.confirmButton")).setEmoji("🗑️").setStyle(ButtonStyle.Danger),
+    new ButtonBuilder().setCustomId(FORGET_IDS.cancel).setLabel(tr("forget.cancelButton")).setStyle(ButtonStyle.Secondary)
+  );
+}
+
+// /forget-me: show what goes and ask for a button press
+async function requestForgetMe(ctx, interaction) {
+  const tr = translator(interaction.locale);
+  const records = ctx.links.getByDiscordUser(interaction.user.id);
+
+  if (!records.length) {
+    return interaction.reply({
+      content: ui(tr("forget.title"), [
+        bullet(tr("forget.nothingStored")),
+      ]),
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  return interaction.reply({
+    content: ui(tr("forget.title"), [
+      warn(tr("forget.confirm", { count: records.length })),
+      bullet(tr("forget.loseRoles")),
+      bullet(tr("forget.reverify")),
+      hint(tr("forget.cannotUndo")),
+    ]),
+    components: [forgetConfirmRow(tr)],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+// The /forget-me buttons (the reply is ephemeral, so only the member who asked can press them)
+async function handleForgetButton(interaction) {
+  const tr = translator(interaction.locale);
+  const ctx = guilds.get(interaction.guildId);
+  if (!ctx) return interaction.reply(notAvailableReply(tr));
+
+  if (interaction.customId === FORGET_IDS.cancel) {
+    return interaction.update({
+      content: ui(tr("forget.title"), [bullet(tr("forget.cancelled"))]),
+      components: [],
+    });
+  }
+
+  await interaction.deferUpdate();
+  try {
+    const { count, fingerprints, inGuild, rolesStripped } = await forgetMember(ctx, interaction.guild, interaction.user.id, {
+      ...actorOf(interaction),
+      reason: "forget_me",
+    });
+
+    await postBotLog(ctx, "member_forgotten", {
+      userTag: interaction.user.tag,
+      userId: interaction.user.id,
+      count,
+      reason: "Requested by the member (/forget-me)",
+      message: [
+        fingerprints.length ? `Deleted: ${fingerprints.map((f) => `\`${f}\``).join(", ")}` : "Nothing stored",
+        inGuild && !rolesStripped ? "⚠️ Couldn’t remove their tier roles; remove them by hand." : null,
+      ].filter(Boolean).join("\n"),
+    }, "WARN");
+
+    return interaction.editReply({
+      content: ui(tr("forget.doneTitle"), [
+        ok(tr("forget.done", { count })),
+        bullet(tr("forget.reverify")),
+      ]),
+      components: [],
+    });
+  } catch (err) {
+    await postBotLog(ctx, "member_forget_error", {
+      userTag: interaction.user.tag,
+      userId: interaction.user.id,
+      error: err?.message || String(err),
+    }, "ERROR");
+
+    return interaction.editReply({
+      content: ui(tr("forget.title"), [
+        warn(tr("forget.error")),
+        hint(tr("common.contactSupport")),
+      ]),
+      components: [],
+    });
+  }
+}
+
+function startRetentionLoop() {
+  const scheduled = guilds.list().filter((ctx) => ctx.retention.enabled);
+  if (!scheduled.length) {
+    logger.info({ event: "retention_disabled" });
+    return;
+  }
+
+  const run = async () => {
+    for (const ctx of scheduled) {
+      await runRetention(ctx).catch((err) => {
+        logger.error({ event: "retention_loop_error", guildId: ctx.guildId, err: String(err) });
+      });
+    }
+  };
+
+  // After the audit and reconcile have had their turn
+  setTimeout(run, 10 * 60_000);
+  setInterval(run, RETENTION_INTERVAL_HOURS * 60 * 60 * 1000);
+
+  for (const ctx of scheduled) {
+    logger.info({ event: "retention_loop_started", guildId: ctx.guildId, intervalHours: RETENTION_INTERVAL_HOURS, ...ctx.retention });
+  }
+}
+
+// Purges records of members who left / stayed downgraded past the configured days
+async function runRetention(ctx) {
+  const { retention } = ctx;
+  const expired = findExpiredRecords(ctx.links.listAll(), retention, baseRoleName(ctx));
+  if (!expired.length) return;
+
+  const byReason = { left: 0, downgraded: 0 };
+  for (const { reason } of expired) byReason[reason]++;
+
+  if (!retention.dryRun) {
+    const fingerprints = deleteRecords(ctx, expired.map((e) => e.rec));
+    expired.forEach(({ rec, reason }, i) => {
+      recordAccessEvent(ctx, {
+        ...SYSTEM_RETENTION,
+        action: "purge",
+        email: fingerprints[i],
+        discordUserId: rec.discordUserId,
+        beforeTier: rec.tier ?? null,
+        afterTier: null,
+        reason: `retention_${reason}`,
+      });
+    });
+    logger.info({ event: "retention_purged", guildId: ctx.guildId, count: expired.length, ...byReason, emails: fingerprints });
+  }
+
+  await postBotLog(ctx, "retention_purge", {
+    count: expired.length,
+    dryRun: retention.dryRun,
+    message: [
+      `Left > ${retention.leftDays}d: ${byReason.left} • downgraded > ${retention.downgradedDays}d: ${byReason.downgraded}`,
+      retention.dryRun ? "Dry run: nothing deleted" : "Records deleted; their emails are redacted in the history",
+    ].join("\n"),
+  }, retention.dryRun ? "INFO" : "WARN");
+}
+
+/* =======================
+   PRE-EXPIRY REMINDERS
+======================= */
+// Tightest threshold reached that wasn't sent yet this cycle (null = nothing to send)
+function dueReminderDays(daysLeft, sentDays) {
+  const reached = REMINDER_DAYS_BEFORE.filter((d) => daysLeft <= d);
+  if (!reached.length) return null;
+  const tightest = Math.min(...reached);
+  return sentDays.includes(tightest) ? null : tightest;
+}
+
+/**
+ * DMs the member if a reminder threshold was reached (logged to the audit digest).
+ * Returns the updated `reminders` record field ({ cycle, sent }) when one was sent, else null.
+ */
+async function maybeSendExpiryReminder(ctx, rec, decision, now, digest) {
+  const daysLeft = Math.max(0, Math.ceil((decision.accessEndsAt.getTime() - now.getTime()) / DAY_MS));
+
+  // A new billing cycle starts a fresh set of reminders
+  const cycle = String(decision.cycleKey || "");
+  const sent = rec.reminders?.cycle === cycle ? rec.reminders.sent || [] : [];
+
+  const threshold = dueReminderDays(daysLeft, sent);
+  if (threshold == null) return null;
+
+  const payload = {
+    email: rec.email,
+    userId: rec.discordUserId,
+    userTag: rec.userTag,
+    lastPaidAt: rec.lastPaidAt,
+    contractId: rec.contractId,
+    dryRun: ctx.audit.dryRun,
+    message: `${daysLeft}d left (threshold ${threshold}d) • ${decision.reason}`,
+  };
+
+  if (ctx.audit.dryRun) {
+    digest.add("reminder_due", payload, "INFO");
+    return null;
+  }
+
+  // Language the member verified in (falls back to the server's, then English)
+  const tr = translator(rec.locale || client.guilds.cache.get(ctx.guildId)?.preferredLocale);
+  const content = ui(tr("reminder.title"), [
+    warn(tr("reminder.endsIn", { role: fmtRole(rec.tier), days: daysLeft, date: decision.accessEndsAt.toISOString().slice(0, 10) })),
+    bullet(tr("reminder.lastPayment", { date: rec.lastPaidAt ? String(rec.lastPaidAt).slice(0, 10) : tr("reminder.unknown") })),
+    ctx.renewalUrl ? bullet(tr("reminder.renewAt", { url: ctx.renewalUrl })) : bullet(tr("reminder.renewStore")),
+    hint(tr("reminder.hint")),
+  ]);
+
+  // The fallback channel is seen by everyone: no tier or dates there, just a nudge
+  const channelContent = ui(tr("reminder.channelTitle"), [
+    warn(tr("reminder.channelNotice")),
+    hint(tr("reminder.channelHint")),
+  ]);
+
+  const via = await sendMemberNotice(ctx, rec.discordUserId, content, channelContent);
+
+  digest.add(via ? "reminder_sent" : "reminder_failed", {
+    ...payload,
+    message: `${payload.message} • via ${via || "nothing (DM + channel failed)"}`,
+  }, via ? "INFO" : "WARN");
+
+  if (!via) return null;
+
+  // Mark every reached threshold so a looser one never fires after a tighter one
+  const reached = REMINDER_DAYS_BEFORE.filter((d) => daysLeft <= d);
+  return { cycle, sent: [...new Set([...sent, ...reached])] };
+}
+
+// DM first; if DMs are closed, mention them in the fallback channel with channelContent, which must
+// not hold anything private (the channel is public). Returns "dm" | "channel" | null.
+async function sendMemberNotice(ctx, discordUserId, content, channelContent) {
+  const user = await client.users.fetch(discordUserId).catch(() => null);
+  if (user) {
+    const dm = await user.send(content).then(() => true).catch(() => false);
+    if (dm) return "dm";
+  }
+
+  const guild = client.guilds.cache.get(ctx.guildId);
+  const channel = ctx.reminderChannelId
+    ? await client.channels.fetch(ctx.reminderChannelId).catch(() => null)
+    : guild?.channels.cache.find((c) => c.name === ctx.verifyChannelName);
+  if (!channel?.isTextBased?.()) return null;
+
+  const posted = await channel.send({
+    content: `<@${discordUserId}>\n${channelContent}`,
+    allowedMentions: { users: [discordUserId] },
+  }).then(() => true).catch(() => false);
+
+  return posted ? "channel" : null;
+}
+
+/* =======================
+   SHOPIFY WEBHOOKS
+   (instant role sync)
+======================= */
+async function emailFromWebhook(topic, payload) {
+  switch (topic) {
+    case "orders/paid":
+    case "orders/cancelled":
+      return payload.email || payload.contact_email || payload.customer?.email || null;
+    case "refunds/create":
+    case "disputes/create":
+    case "disputes/update":
+      return payload.order_id ? getOrderEmailById(payload.order_id) : null;
+    case "subscription_contracts/update":
+      return getCustomerEmailById(payload.admin_graphql_api_customer_id || payload.customer_id);
+    default:
+      return null;
+  }
+}
+
+async function handleShopifyWebhook({ topic, webhookId, payload }) {
+  const email = normEmail(await emailFromWebhook(topic, payload));
+  if (!email) {
+    logger.info({ event: "webhook_no_email", topic, webhookId });
+    return;
+  }
+
+  // The same email can be linked in several guilds: sync each of them
+  const linked = guilds.list()
+    .map((ctx) => ({ ctx, rec: ctx.links.getByEmail(email) }))
+    .filter(({ rec }) => rec?.discordUserId);
+
+  if (!linked.length) {
+    logger.info({ event: "webhook_email_not_linked", topic, webhookId, email });
+    return;
+  }
+
+  // The orders just changed: drop the cached lookup (every guild then shares one fresh fetch)
+  invalidateOrderCache(email);
+  for (const { ctx, rec } of linked) {
+    await syncLinkedEmail(ctx, email, rec, `webhook_${topic}`);
+  }
+}
+
+// Re-check Shopify for a linked email and apply the resulting tier right away
+// Returns { grantedRole, matchedRole } or null when nothing was applied
+// log(event, payload, level): the log channel by default, the audit digest during an audit
+async function syncLinkedEmail(ctx, email, rec, reason, actor = SYSTEM_WEBHOOK, log = (...args) => postBotLog(ctx, ...args)) {
+  const { links } = ctx;
+  const guild = client.guilds.cache.get(ctx.guildId);
+  if (!guild || isEmailRef(email)) return null; // a hashed key would look like "no orders"
+
+  const member = await guild.members.fetch(rec.discordUserId).catch(() => null);
+  if (!member) {
+    await log("sync_member_not_found", {
+      email,
+      userId: rec.discordUserId,
+      userTag: rec.userTag,
+      message: reason,
+    }, "WARN");
+    return null;
+  }
+
+  try {
+    const { paid, revoked } = splitItems(await getOrderLineItemsByEmail(email));
+    const { tier, isSubscription, lastPaidAt } = resolveAccessFromItems(ctx, paid);
+
+    const paidRole = tier?.role ?? baseRoleName(ctx);
+    const keepManual = keepsManualTier(ctx, rec, paidRole);
+
+    const emailRole = keepManual ? rec.tier : paidRole;
+    const contract = !keepManual && tier && isSubscription ? await findTierContract(ctx, email, tier.role) : null;
+    const revocation = keepManual ? null : findRevocation(ctx, rec.tier, tier, revoked);
+
+    const beforeRole = effectiveRole(ctx, links.getByDiscordUser(rec.discordUserId));
+
+    // Re-read right before writing so a concurrent /verify isn't lost
+    links.upsert(email, {
+      ...(links.getByEmail(email) || rec),
+      ...(keepManual ? {} : { tier: emailRole, isSubscription: tier ? isSubscription : false, manualTier: false }),
+      lastPaidAt: lastPaidAt ?? rec.lastPaidAt ?? null,
+      ...(contract ? contractFields(contract) : {}),
+      ...(revocation ? { revokedAt: new Date().toISOString(), revokedReason: revocation.reasons.join(",") } : {}),
+      lastAuditAt: new Date().toISOString(),
+      lastAuditReason: reason,
+      updatedAt: new Date().toISOString(),
+    });
+
+    // Other linked emails may still back a tier
+    const grantedRole = effectiveRole(ctx, links.getByDiscordUser(rec.discordUserId)) ?? baseRoleName(ctx);
+    await applyMemberTier(ctx, member, guild, grantedRole);
+
+    recordAccessEvent(ctx, {
+      ...actor,
+      action: revocation ? "revoke" : "sync",
+      email,
+      discordUserId: rec.discordUserId,
+      beforeTier: beforeRole,
+      afterTier: grantedRole,
+      reason: revocation ? `${reason}: ${revocation.reasons.join(", ")}` : reason,
+      details: {
+        matchedRole: emailRole,
+        manualTier: keepManual || undefined,
+        contractId: contract?.id,
+        revokedOrders: revocation ? [...new Set(revocation.items.map((i) => i.orderName))] : undefined,
+      },
+    });
+
+    const downgraded = grantedRole === baseRoleName(ctx);
+    if (downgraded && beforeRole && beforeRole !== grantedRole) {
+      metrics.downgrades.inc({ guild: ctx.guildId, source: revocation ? "revoke" : "sync" });
+    }
+
+    // Dedicated event: access lost because the money went back
+    if (revocation) {
+      await log("payment_revoked", {
+        email,
+        userId: rec.discordUserId,
+        userTag: rec.userTag,
+        targetUserId: rec.discordUserId,
+        grantedRole,
+        matchedRole: emailRole,
+        items: revocation.items,
+        reason: revocation.reasons.map((r) => REVOKED_LABELS[r] || r).join(", "),
+        message: `${rec.tier} no longer backed by a valid payment • ${reason}`,
+      }, "WARN");
+      return { grantedRole, matchedRole: emailRole, revoked: revocation.reasons };
+    }
+
+    await log(downgraded ? "sync_downgrade_success" : "sync_tier_applied", {
+      email,
+      userId: rec.discordUserId,
+      userTag: rec.userTag,
+      grantedRole,
+      matchedRole: emailRole,
+      subscription: tier ? isSubscription : false,
+      lastPaidAt,
+      message: keepManual ? `${reason} • manual tier kept` : reason,
+    }, downgraded ? "WARN" : "SUCCESS");
+
+    return { grantedRole, matchedRole: emailRole };
+  } catch (err) {
+    await log("sync_error", {
+      email,
+      userId: rec.discordUserId,
+      userTag: rec.userTag,
+      error: err?.message || String(err),
+    }, "ERROR");
+    return null;
+  }
+}
+
+client.once(Events.ClientReady, async (c) => {
+  console.log(`✅ Logged in as ${c.user.tag}`);
+  await postBotLog(null, "bot_online", { userTag: c.user.tag, userId: c.user.id }, "INFO");
+  if (!emailProtector.hashing) {
+    await postBotLog(null, "storage_plaintext_emails", {
+      message: "EMAIL_HASH_KEY is not set: customer emails are stored in plaintext. Generate keys with `node email-keys.js generate`.",
+    }, "WARN");
+  }
+
+  // ✅ Make sure every verify channel has its pinned panel
+  for (const ctx of guilds.list()) await ensureVerifyPanel(ctx);
+
+  // ✅ Start audit + reconcile + retention loops after bot is online
+  startSubscriptionAuditLoop();
+  startReconcileLoop();
+  startRetentionLoop();
+});
+
+/* =======================
+   VERIFY LIMITS
+   (cooldowns + lockout)
+======================= */
+function fmtWait(tr, seconds) {
+  return seconds >= 120 ? tr("wait.minutes", { n: Math.ceil(seconds / 60) }) : tr("wait.seconds", { n: seconds });
+}
+
+// Counts a failed verify step; WARNs the log channel when it trips the lockout
+async function noteVerifyFailure(ctx, interaction, reason) {
+  const { failures, lockedNow } = recordFailure(interaction.user.id);
+  logger.info({ event: "verify_failure", reason, failures, userId: interaction.user.id, guildId: ctx.guildId });
+
+  if (lockedNow) {
+    await postBotLog(ctx, "verify_lockout", {
+      userTag: interaction.user.tag,
+      userId: interaction.user.id,
+      count: failures,
+      reason,
+      message: `${failures} failed attempts within ${FAILURE_WINDOW_MINUTES}m • /verify locked for ${LOCKOUT_MINUTES}m • \`/clear-lockout\` to lift it`,
+    }, "WARN");
+  }
+}
+
+function notAvailableReply(tr) {
+  return {
+    content: ui(tr("guard.notAvailableTitle"), [
+      bad(tr("guard.notSetUp")),
+    ]),
+    flags: MessageFlags.Ephemeral,
+  };
+}
+
+function lockedOutReply(tr, seconds) {
+  return {
+    content: ui(tr("lockout.title"), [
+      bad(tr("lockout.paused")),
+      bullet(tr("lockout.tryAgain", { wait: fmtWait(tr, seconds) })),
+      hint(tr("lockout.hint")),
+    ]),
+    flags: MessageFlags.Ephemeral,
+  };
+}
+
+/* =======================
+   VERIFY FLOW
+   (shared by the slash commands and the verify panel)
+======================= */
+// Step 1: email in, one-time code out
+async function requestVerificationCode(ctx, interaction, email) {
+  const { links } = ctx;
+  const tr = translator(interaction.locale);
+
+  // Locked out / cooling down: answer before touching records, mail or Shopify
+  const lockedFor = lockoutSecondsLeft(interaction.user.id);
+  if (lockedFor) return interaction.reply(lockedOutReply(tr, lockedFor));
+
+  // Out of code guesses for now: a new code wouldn't give them more
+  const guessesBackIn = codeAttemptsLockedFor(interaction.user.id);
+  if (guessesBackIn) {
+    return interaction.reply({
+      content: ui(tr("request.slowDownTitle"), [
+        bad(tr("code.tooManyAttempts")),
+        hint(tr("code.tooManyAttemptsWait", { wait: fmtWait(tr, guessesBackIn) })),
+      ]),
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const cooldown = userCooldownSecondsLeft(interaction.user.id);
+  if (cooldown) {
+    return interaction.reply({
+      content: ui(tr("request.slowDownTitle"), [
+        warn(tr("request.slowDown", { wait: fmtWait(tr, cooldown) })),
+        hint(tr("request.slowDownHint")),
+      ]),
+      components: [enterCodeRow(tr)],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  logger.info({
+    event: "verify_requested",
+    email,
+    userTag: interaction.user.tag,
+    userId: interaction.user.id,
+    guildId: interaction.guild?.id,
+    at: new Date().toISOString(),
+  });
+
+  await postBotLog(ctx, "verify_requested", {
+    email,
+    userTag: interaction.user.tag,
+    userId: interaction.user.id,
+    guildId: interaction.guild?.id,
+  }, "INFO");
+
+  // Invalid email: one plain address only, so the search Shopify runs and the inbox the code
+  // goes to are the same address
+  if (!isPlainEmail(email)) {
+    await postBotLog(ctx, "verify_invalid_email", {
+      email,
+      userTag: interaction.user.tag,
+      userId: interaction.user.id,
+    }, "WARN");
+    await noteVerifyFailure(ctx, interaction, "invalid_email");
+
+    return interaction.reply({
+      content: ui(tr("request.invalidEmailTitle"), [
+        bad(tr("request.invalidEmail")),
+        hint(tr("request.invalidEmailHint")),
+      ]),
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  // From here on the reply is the same whatever happens to the email,
+  // so /verify can't be used to find out which emails are customers or linked.
+  const sameReply = ui(tr("request.inboxTitle"), [
+    ok(tr("request.inboxSent", { email: fmtEmail(email) })),
+    bullet(tr("request.inboxNext")),
+    bullet(tr("request.inboxExpires", { minutes: CODE_TTL_MINUTES })),
+    hint(tr("request.inboxHint")),
+  ]);
+
+  // Email already linked to someone else (allow same user re-verify): no code
+  const existing = links.getByEmail(email);
+  if (isLinkedElsewhere(existing, interaction.user.id)) {
+    await postBotLog(ctx, "verify_email_already_linked", {
+      email,
+      userTag: interaction.user.tag,
+      userId: interaction.user.id,
+      existingUserId: existing.discordUserId,
+    }, "WARN");
+    await noteVerifyFailure(ctx, interaction, "email_linked_elsewhere");
+
+    return interaction.reply({ content: sameReply, components: [enterCodeRow(tr)], flags: MessageFlags.Ephemeral });
+  }
+
+  // Same inbox asked for a code moments ago: don't send another one
+  if (emailCooldownSecondsLeft(email)) {
+    logger.info({ event: "verify_email_cooldown", email, userId: interaction.user.id, guildId: ctx.guildId });
+    return interaction.reply({ content: sameReply, components: [enterCodeRow(tr)], flags: MessageFlags.Ephemeral });
+  }
+
+  // Email ownership proof: send a one-time code, /verify-code (or Enter code) finishes the job
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  startCooldowns(interaction.user.id, email);
+  const { code, ttlMinutes } = issueCode(interaction.user.id, email);
+
+  try {
+    await sendVerificationCode(email, code, ttlMinutes, interaction.locale);
+  } catch (err) {
+    logger.error({
+      event: "verify_code_send_error",
+      email,
+      error: err?.message || String(err),
+      userId: interaction.user.id,
+    });
+
+    await postBotLog(ctx, "verify_code_send_error", {
+      email,
+      userTag: interaction.user.tag,
+      userId: interaction.user.id,
+      error: err?.message || String(err),
+    }, "ERROR");
+
+    return interaction.editReply(
+      ui(tr("request.sendFailedTitle"), [
+        warn(tr("request.sendFailed")),
+        bullet(tr("common.retryLater")),
+        hint(tr("common.contactSupport")),
+      ])
+    );
+  }
+
+  await postBotLog(ctx, "verify_code_sent", {
+    email,
+    userTag: interaction.user.tag,
+    userId: interaction.user.id,
+  }, "INFO");
+
+  return interaction.editReply({ content: sameReply, components: [enterCodeRow(tr)] });
+}
+
+// Step 2: code in, roles out (completeVerification does the Shopify part)
+async function redeemVerificationCode(ctx, interaction, code) {
+  const tr = translator(interaction.locale);
+  const lockedFor = lockoutSecondsLeft(interaction.user.id);
+  if (lockedFor) return interaction.reply(lockedOutReply(tr, lockedFor));
+
+  const result = checkCode(interaction.user.id, code);
+
+  if (!result.ok) {
+    await postBotLog(ctx, "verify_code_rejected", {
+      userTag: interaction.user.tag,
+      userId: interaction.user.id,
+      message: result.reason,
+    }, "WARN");
+    await noteVerifyFailure(ctx, interaction, `code_${result.reason}`);
+
+    const lines = {
+      no_pending: [bad(tr("code.noPending")), hint(tr("code.noPendingHint"))],
+      expired: [bad(tr("code.expired")), hint(tr("code.expiredHint"))],
+      too_many_attempts: [
+        bad(tr("code.tooManyAttempts")),
+        hint(tr("code.tooManyAttemptsWait", { wait: fmtWait(tr, result.retryInSeconds) })),
+      ],
+      wrong_code: [bad(tr("code.wrongCode")), bullet(tr("code.attemptsLeft", { n: result.attemptsLeft }))],
+    }[result.reason];
+
+    return interaction.reply({
+      content: ui(tr("code.rejectedTitle"), lines),
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  return completeVerification(ctx, interaction, result.email);
+}
+
+/* =======================
+   COMMAND HANDLER
+======================= */
+const MEMBER_COMMANDS = new Set(["verify", "verify-code", "forget-me"]);
+const ADMIN_COMMANDS = new Set(["lookup", "status", "tiers", "link", "unlink", "transfer", "history", "clear-lockout", "reconcile", "backfill", "forget"]);
+
+// /lookup lists this many linked emails inline; the rest go in a CSV
+const LOOKUP_MAX_LISTED = 6;
+
+function describeTierMatch(source) {
+  const parts = [];
+  if (source.productIds?.length) parts.push(`products: ${source.productIds.map((x) => `\`${x}\``).join(", ")}`);
+  if (source.variantIds?.length) parts.push(`variants: ${source.variantIds.map((x) => `\`${x}\``).join(", ")}`);
+  if (source.skus?.length) parts.push(`SKUs: ${source.skus.map((x) => `\`${x}\``).join(", ")}`);
+  if (source.titlePatterns?.length) parts.push(`titles: ${source.titlePatterns.map((x) => `\`${x}\``).join(", ")}`);
+  return parts.join(" • ");
+}
+
+client.on(Events.InteractionCreate, async (interaction) => {
+  if (interaction.isButton() && Object.values(FORGET_IDS).includes(interaction.customId)) return handleForgetButton(interaction);
+  if (interaction.isButton() || interaction.isModalSubmit()) return handlePanelInteraction(interaction);
+  if (!interaction.isChatInputCommand()) return;
+
+  const cmd = interaction.commandName;
+  if (!MEMBER_COMMANDS.has(cmd) && !ADMIN_COMMANDS.has(cmd)) return;
+
+  // Every guild has its own config and records
+  const ctx = guilds.get(interaction.guildId);
+  if (!ctx) return interaction.reply(notAvailableReply(translator(interaction.locale)));
+  const { links } = ctx;
+
+  // Admin commands: logs channel only + admins only
+  if (ADMIN_COMMANDS.has(cmd)) {
+    const tr = translator(interaction.locale);
+    if (ctx.logChannelId && interaction.channelId !== ctx.logChannelId) {
+      return interaction.reply({
+        content: ui(tr("guard.restrictedTitle"), [
+          bad(tr("guard.logsChannelOnly")),
+        ]),
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+    if (!isAdmin(interaction)) {
+      return interaction.reply({
+        content: ui(tr("guard.restrictedTitle"), [
+          bad(tr("guard.adminOnly")),
+        ]),
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+  }
+
+  /* =====================
+     /lookup (ADMIN)
+  ===================== */
+  if (cmd === "lookup") {
+    const email = normEmail(interaction.options.getString("email"));
+    const user = interaction.options.getUser("user");
+
+    if (!email && !user) {
+      return interaction.reply({
+        content: ui("Lookup result", [
+          warn("Give an email or a user to look up."),
+        ]),
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    // Resolve the member, then show every email linked to them
+    const entry = email ? links.getByEmail(email) : null;
+    const discordUserId = user?.id ?? entry?.discordUserId;
+    const records = discordUserId ? links.getByDiscordUser(discordUserId) : (entry ? [entry] : []);
+
+    await postBotLog(ctx, "admin_lookup", {
+      email,
+      userTag: interaction.user.tag,
+      userId: interaction.user.id,
+      found: records.length > 0,
+      count: records.length,
+    }, "INFO");
+
+    if (!records.length) {
+      return interaction.reply({
+        content: ui("Lookup result", [
+          warn(`No record found for ${email ? fmtEmail(email) : `<@${user.id}>`}.`),
+          hint(email ? "That email may not have verified yet." : "That member may not have verified yet."),
+        ]),
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    // Long lists go out as a CSV so the reply stays under Discord's message limit
+    const listed = records.slice(0, LOOKUP_MAX_LISTED);
+    const more = records.length - listed.length;
+
+    return interaction.reply({
+      content: clampReply(ui("Lookup result", [
+        ok(`Record found • ${records.length} linked email(s).`),
+        bullet(`Discord User ID: \`${discordUserId || "unknown"}\``),
+        bullet(`User Tag: **${records[0].userTag || "unknown"}**`),
+        bullet(`Effective Tier: ${fmtRole(effectiveRole(ctx, records) ?? "none")}`),
+        records.some((r) => r.leftAt) ? warn(`Left the server \`${records.find((r) => r.leftAt).leftAt}\` • tier is restored if they rejoin.`) : null,
+        ...listed.map((r) => bullet(
+          `${fmtEmail(r.email)} — ${fmtRole(r.tier || "unknown")}` +
+          ` • Sub: ${r.isSubscription ? "✅" : "❌"}` +
+          ` • Last Paid: \`${r.lastPaidAt || "unknown"}\`` +
+          (r.contractId ? ` • Contract: \`${r.contractId}\` (${r.contractStatus || "unknown"})` : "") +
+          ` • Updated: \`${r.updatedAt || "unknown"}\``
+        )),
+        more ? hint(`…and ${more} more • every linked email is in the attached CSV.`) : null,
+      ])),
+      files: more
+        ? [new AttachmentBuilder(Buffer.from(toCsv(RECORD_CSV_COLUMNS, records), "utf8"), { name: `lookup-${discordUserId || "email"}.csv` })]
+        : [],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  /* =====================
+     /status (ADMIN)
+  ===================== */
+  if (cmd === "status") {
+    const statusEmail = normEmail(interaction.options.getString("email"));
+    if (!isPlainEmail(statusEmail)) {
+      return interaction.reply({
+        content: ui("Shopify status", [bad("That doesn’t look like a real email.")]),
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    try {
+      const { items, titles, tier, subscription } = await checkShopifyStatus(ctx, statusEmail);
+
+      await postBotLog(ctx, "admin_status", {
+        email: statusEmail,
+        userTag: interaction.user.tag,
+        userId: interaction.user.id,
+        items,
+        titles,
+        matchedRole: tier?.role ?? null,
+        subscription,
+        count: items.length,
+      }, "INFO");
+
+      return interaction.editReply(
+        ui("Shopify status", [
+          bullet(`Email: ${fmtEmail(statusEmail)}`),
+          bullet(`Items: \`${items.length}\``),
+          bullet(`Matched Tier: ${fmtRole(tier?.role ?? "none")}`),
+          bullet(`Subscription: ${subscription ? "✅ yes" : "❌ no"}`),
+          hint("If tier is wrong, check `/tiers` and edit the tier config file."),
+        ])
+      );
+    } catch (err) {
+      await postBotLog(ctx, "admin_status_error", {
+        email: statusEmail,
+        userTag: interaction.user.tag,
+        userId: interaction.user.id,
+        error: err?.message || String(err),
+      }, "ERROR");
+
+      return interaction.editReply(
+        ui("Shopify status failed", [
+          bad("Shopify lookup failed."),
+          hint("Try again in 30 seconds."),
+        ])
+      );
+    }
+  }
+
+  /* =====================
+     /unlink (ADMIN)
+  ===================== */
+  if (cmd === "unlink") {
+    const email = normEmail(interaction.options.getString("email"));
+    const reason = interaction.options.getString("reason");
+    const stripRoles = interaction.options.getBoolean("strip_roles") ?? false;
+
+    const rec = links.getByEmail(email);
+    if (!rec) {
+      return interaction.reply({
+        content: ui("Unlink", [
+          warn(`No record found for ${fmtEmail(email)}.`),
+        ]),
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    try {
+      const { refreshed } = await unlinkEmail(ctx, interaction.guild, rec, { ...actorOf(interaction), reason, stripRoles });
+
+      await postBotLog(ctx, "admin_unlink", {
+        email,
+        userTag: interaction.user.tag,
+        userId: interaction.user.id,
+        targetUserId: rec.discordUserId,
+        grantedRole: refreshed?.role,
+        reason,
+        message: stripRoles
+          ? (refreshed ? `Unlinked; roles recomputed (was ${rec.tier || "unknown"})` : "Unlinked; member not in guild, roles untouched")
+          : `Unlinked; roles untouched (was ${rec.tier || "unknown"})`,
+      }, "WARN");
+
+      return interaction.editReply(
+        ui("Email unlinked", [
+          ok(`${fmtEmail(email)} is no longer linked to <@${rec.discordUserId}>.`),
+          stripRoles
+            ? (refreshed ? bullet(`Member is now on ${fmtRole(refreshed.role)}.`) : warn("Member not found in this server; roles untouched."))
+            : bullet("Roles were left as they are."),
+          hint("The email can now be verified by its owner."),
+        ])
+      );
+    } catch (err) {
+      // The record is removed before roles are touched, so say which half failed
+      const unlinked = !links.getByEmail(email);
+
+      await postBotLog(ctx, "admin_unlink_error", {
+        email,
+        userTag: interaction.user.tag,
+        userId: interaction.user.id,
+        targetUserId: rec.discordUserId,
+        reason,
+        error: err?.message || String(err),
+      }, "ERROR");
+
+      return interaction.editReply(
+        ui("Unlink failed", [
+          unlinked
+            ? warn(`${fmtEmail(email)} was unlinked, but updating <@${rec.discordUserId}>'s roles failed.`)
+            : bad("Something went wrong unlinking that email."),
+          hint("Check the bot's role permissions and the logs channel for details."),
+        ])
+      );
+    }
+  }
+
+  /* =====================
+     /link (ADMIN)
+  ===================== */
+  if (cmd === "link") {
+    const email = normEmail(interaction.options.getString("email"));
+    const target = interaction.options.getUser("user");
+    const tierName = interaction.options.getString("tier");
+    const reason = interaction.options.getString("reason");
+
+    if (!isPlainEmail(email)) {
+      return interaction.reply({
+        content: ui("Link", [bad("That doesn’t look like a real email.")]),
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    const existing = links.getByEmail(email);
+    if (existing && existing.discordUserId !== target.id) {
+      return interaction.reply({
+        content: ui("Link", [
+          bad(`${fmtEmail(email)} is already linked to <@${existing.discordUserId}>.`),
+          hint("Use `/transfer` to move it to another member."),
+        ]),
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    const forcedTier = tierName ? (findTier(ctx, tierName) || (tierName === baseRoleName(ctx) ? { role: tierName } : null)) : null;
+    if (tierName && !forcedTier) {
+      return interaction.reply({
+        content: ui("Link", [
+          bad(`Unknown tier ${fmtRole(tierName)}.`),
+          hint("Run `/tiers` to see the role names."),
+        ]),
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    try {
+      let record;
+      if (forcedTier) {
+        // Manual grant: not tied to a subscription or an order, so the audit leaves it alone
+        record = { tier: forcedTier.role, isSubscription: false, lastPaidAt: null, manualTier: true };
+      } else {
+        const items = await getPaidLineItemsByEmail(email);
+        const { tier, isSubscription, lastPaidAt } = resolveAccessFromItems(ctx, items);
+        if (!tier) {
+          return interaction.editReply(
+            ui("Link", [
+              warn(`No paid tier found in Shopify for ${fmtEmail(email)}.`),
+              hint("Pass `tier` to link it with a manual tier anyway."),
+            ])
+          );
+        }
+        const contract = isSubscription ? await findTierContract(ctx, email, tier.role) : null;
+        record = {
+          tier: tier.role,
+          manualTier: false,
+          isSubscription,
+          lastPaidAt,
+          ...(contract ? contractFields(contract) : {}),
+        };
+      }
+
+      const beforeRole = effectiveRole(ctx, links.getByDiscordUser(target.id));
+
+      links.upsert(email, {
+        discordUserId: target.id,
+        userTag: target.tag,
+        ...record,
+        linkedBy: interaction.user.id,
+        linkReason: reason,
+        updatedAt: new Date().toISOString(),
+      });
+
+      const refreshed = await refreshMemberTier(ctx, interaction.guild, target.id);
+
+      recordAccessEvent(ctx, {
+        ...actorOf(interaction),
+        action: "link",
+        email,
+        discordUserId: target.id,
+        beforeTier: beforeRole,
+        afterTier: refreshed?.role ?? effectiveRole(ctx, links.getByDiscordUser(target.id)),
+        reason,
+        details: { emailTier: record.tier, manual: !!forcedTier, memberFound: !!refreshed },
+      });
+
+      await postBotLog(ctx, "admin_link", {
+        email,
+        userTag: interaction.user.tag,
+        userId: interaction.user.id,
+        targetUserId: target.id,
+        matchedRole: record.tier,
+        grantedRole: refreshed?.role,
+        subscription: record.isSubscription,
+        reason,
+        message: forcedTier ? "Manual tier" : "Tier from Shopify",
+      }, "SUCCESS");
+
+      return interaction.editReply(
+        ui("Email linked", [
+          ok(`${fmtEmail(email)} → <@${target.id}> (${fmtRole(record.tier)}).`),
+          refreshed
+            ? bullet(`Member is now on ${fmtRole(refreshed.role)}.`)
+            : warn("Member not found in this server; roles will apply once they verify or rejoin."),
+        ])
+      );
+    } catch (err) {
+      await postBotLog(ctx, "admin_link_error", {
+        email,
+        userTag: interaction.user.tag,
+        userId: interaction.user.id,
+        targetUserId: target.id,
+        reason,
+        error: err?.message || String(err),
+      }, "ERROR");
+
+      return interaction.editReply(
+        ui("Link failed", [
+          bad("Something went wrong linking that email."),
+          hint("Check the logs channel for details."),
+        ])
+      );
+    }
+  }
+
+  /* =====================
+     /transfer (ADMIN)
+  ===================== */
+  if (cmd === "transfer") {
+    const email = normEmail(interaction.options.getString("email"));
+    const target = interaction.options.getUser("to");
+    const reason = interaction.options.getString("reason");
+    const stripRoles = interaction.options.getBoolean("strip_roles") ?? true;
+
+    const rec = links.getByEmail(email);
+    if (!rec) {
+      return interaction.reply({
+        content: ui("Transfer", [
+          warn(`No record found for ${fmtEmail(email)}.`),
+          hint("Use `/link` for emails that were never verified."),
+        ]),
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+    if (rec.discordUserId === target.id) {
+      return interaction.reply({
+        content: ui("Transfer", [
+          warn(`${fmtEmail(email)} is already linked to <@${target.id}>.`),
+        ]),
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const fromUserId = rec.discordUserId;
+    try {
+      const toBefore = effectiveRole(ctx, links.getByDiscordUser(target.id));
+      const fromBefore = fromUserId ? effectiveRole(ctx, links.getByDiscordUser(fromUserId)) : null;
+
+      links.upsert(email, {
+        ...rec,
+        discordUserId: target.id,
+        userTag: target.tag,
+        transferredFrom: fromUserId,
+        locale: undefined, // was the previous owner's language
+        linkedBy: interaction.user.id,
+        linkReason: reason,
+        updatedAt: new Date().toISOString(),
+      });
+
+      const toRefreshed = await refreshMemberTier(ctx, interaction.guild, target.id);
+      const fromRefreshed = stripRoles && fromUserId
+        ? await refreshMemberTier(ctx, interaction.guild, fromUserId)
+        : null;
+
+      recordAccessEvent(ctx, {
+        ...actorOf(interaction),
+        action: "transfer_in",
+        email,
+        discordUserId: target.id,
+        beforeTier: toBefore,
+        afterTier: toRefreshed?.role ?? effectiveRole(ctx, links.getByDiscordUser(target.id)),
+        reason,
+        details: { from: fromUserId },
+      });
+      recordAccessEvent(ctx, {
+        ...actorOf(interaction),
+        action: "transfer_out",
+        email,
+        discordUserId: fromUserId,
+        beforeTier: fromBefore,
+        afterTier: fromRefreshed?.role ?? null,
+        reason,
+        details: { to: target.id, stripRoles },
+      });
+
+      await postBotLog(ctx, "admin_transfer", {
+        email,
+        userTag: interaction.user.tag,
+        userId: interaction.user.id,
+        targetUserId: target.id,
+        grantedRole: toRefreshed?.role,
+        reason,
+        message: `From <@${fromUserId}> (${stripRoles ? `now ${fromRefreshed?.role ?? "not in guild"}` : "roles untouched"})`,
+      }, "WARN");
+
+      return interaction.editReply(
+        ui("Email transferred", [
+          ok(`${fmtEmail(email)}: <@${fromUserId}> → <@${target.id}>.`),
+          toRefreshed
+            ? bullet(`New owner is on ${fmtRole(toRefreshed.role)}.`)
+            : warn("New owner not found in this server; roles apply once they join."),
+          stripRoles
+            ? bullet(fromRefreshed ? `Previous owner is now on ${fmtRole(fromRefreshed.role)}.` : "Previous owner not in this server.")
+            : bullet("Previous owner’s roles were left as they are."),
+        ])
+      );
+    } catch (err) {
+      // The record may already point at the new owner; /lookup shows where it ended up
+      await postBotLog(ctx, "admin_transfer_error", {
+        email,
+        userTag: interaction.user.tag,
+        userId: interaction.user.id,
+        targetUserId: target.id,
+        reason,
+        error: err?.message || String(err),
+      }, "ERROR");
+
+      return interaction.editReply(
+        ui("Transfer failed", [
+          bad("Something went wrong transferring that email or updating roles."),
+          hint(`Check \`/lookup\` for ${fmtEmail(email)}, the bot's role permissions and the logs channel.`),
+        ])
+      );
+    }
+  }
+
+  /* =====================
+     /history (ADMIN)
+  ===================== */
+  if (cmd === "history") {
+    const email = normEmail(interaction.options.getString("email"));
+    const user = interaction.options.getUser("user");
+    const asCsv = interaction.options.getBoolean("csv") ?? false;
+    const limit = interaction.options.getInteger("limit") ?? 15;
+
+    if (!email && !user) {
+      return interaction.reply({
+        content: ui("Access history", [
+          warn("Give an email or a user."),
+        ]),
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    const filter = { email: email || null, discordUserId: user?.id ?? null };
+    const events = links.listEvents({ ...filter, limit: asCsv ? null : limit });
+    const subject = email ? fmtEmail(email) : `<@${user.id}>`;
+
+    await postBotLog(ctx, "admin_history", {
+      email,
+      userTag: interaction.user.tag,
+      userId: interaction.user.id,
+      targetUserId: user?.id,
+      count: events.length,
+      message: asCsv ? "CSV export" : undefined,
+    }, "INFO");
+
+    if (!events.length) {
+      return interaction.reply({
+        content: ui("Access history", [
+          warn(`No events recorded for ${subject}.`),
+        ]),
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    if (asCsv) {
+      const name = `history-${(email || user.id).replace(/[^a-z0-9@._-]/gi, "_")}.csv`;
+      return interaction.reply({
+        content: ui("Access history", [ok(`${events.length} event(s) for ${subject}.`)]),
+        files: [new AttachmentBuilder(Buffer.from(eventsToCsv(events), "utf8"), { name })],
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    const content = ui("Access history", [
+      bullet(`${subject} • newest first • showing ${events.length}`),
+      ...events.map((e) => bullet(
+        `\`${e.at.slice(0, 16).replace("T", " ")}\` **${e.action}**` +
+        ` ${e.beforeTier || "none"} → ${e.afterTier || "none"}` +
+        ` • by ${e.actor.startsWith("system:") ? e.actorTag || e.actor : `<@${e.actor}>`}` +
+        (e.reason ? ` • ${e.reason}` : "") +
+        (!email && e.email ? ` • ${fmtEmail(e.email)}` : "")
+      )),
+      hint("Use `csv:true` for the full timeline as a file."),
+    ]);
+
+    return interaction.reply({
+      content: clampReply(content),
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  /* =====================
+     /reconcile (ADMIN)
+  ===================== */
+  if (cmd === "reconcile") {
+    const fix = interaction.options.getBoolean("fix") ?? false;
+    const asCsv = interaction.options.getBoolean("csv") ?? false;
+
+    // Member scan can take a while on big servers
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    try {
+      const drift = await findRoleDrift(ctx, interaction.guild);
+      const result = fix ? await fixRoleDrift(ctx, interaction.guild, drift, actorOf(interaction)) : null;
+      const found = [...drift.orphans, ...drift.mismatches];
+
+      await postBotLog(ctx, "admin_reconcile", {
+        userTag: interaction.user.tag,
+        userId: interaction.user.id,
+        count: found.length,
+        dryRun: !fix,
+        message: `orphans ${drift.orphans.length} • mismatches ${drift.mismatches.length} • missing ${drift.missing.length}` +
+          (result ? ` • fixed ${result.fixed}${result.failed ? ` • failed ${result.failed}` : ""}` : ""),
+      }, result?.fixed ? "WARN" : "INFO");
+
+      const content = ui("Role reconciliation", [
+        bullet(`Scanned \`${drift.scanned}\` members`),
+        bullet(`Orphans (paid role, no linked email): \`${drift.orphans.length}\``),
+        bullet(`Mismatches (roles ≠ records): \`${drift.mismatches.length}\``),
+        bullet(`Missing (linked, not in server): \`${drift.missing.length}\``),
+        result
+          ? ok(`Fixed \`${result.fixed}\`${result.failed ? ` • failed \`${result.failed}\` (see logs)` : ""}.`)
+          : (found.length ? hint("Dry run. Use `fix:true` to apply the record-backed tiers.") : null),
+        ...found.slice(0, 10).map((d) => bullet(describeDrift(d))),
+        found.length > 10 ? hint(`… +${found.length - 10} more. Use \`csv:true\` for the full list.`) : null,
+      ]);
+
+      return interaction.editReply({
+        content: clampReply(content),
+        files: asCsv ? [new AttachmentBuilder(Buffer.from(driftToCsv(drift), "utf8"), { name: `reconcile-${ctx.guildId}.csv` })] : [],
+      });
+    } catch (err) {
+      await postBotLog(ctx, "admin_reconcile_error", {
+        userTag: interaction.user.tag,
+        userId: interaction.user.id,
+        error: err?.message || String(err),
+      }, "ERROR");
+
+      return interaction.editReply(
+        ui("Reconciliation failed", [
+          bad("Couldn’t scan the member list."),
+          hint("Check the bot has the Server Members intent and Manage Roles."),
+        ])
+      );
+    }
+  }
+
+  /* =====================
+     /backfill (ADMIN)
+  ===================== */
+  if (cmd === "backfill") {
+    const file = interaction.options.getAttachment("file");
+    const dryRun = interaction.options.getBoolean("dry_run") ?? true;
+
+    if (file.size > BACKFILL_MAX_BYTES || !/\.(csv|txt)$/i.test(file.name)) {
+      return interaction.reply({
+        content: ui("Backfill", [
+          bad("Attach a `.csv` file under 1 MB."),
+          hint(`Columns: \`email,discordUserId\` or \`email,username\` (up to ${MAX_BACKFILL_ROWS} rows).`),
+        ]),
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    let parsed;
+    try {
+      const res = await fetch(file.url);
+      if (!res.ok) throw new Error(`Download failed (HTTP ${res.status})`);
+      parsed = parseBackfillCsv(await res.text());
+    } catch (err) {
+      return interaction.editReply(
+        ui("Backfill", [
+          bad(`Couldn’t read \`${file.name}\`: ${err?.message || String(err)}`),
+          hint("Columns: `email,discordUserId` or `email,username`. The header row is optional."),
+        ])
+      );
+    }
+
+    const { rows, errors } = parsed;
+    const title = dryRun ? "Backfill preview (dry run)" : "Backfill";
+
+    // Progress: edit the reply every few seconds, not on every row
+    let lastProgressAt = 0;
+    const onProgress = async (done, total) => {
+      if (done < total && Date.now() - lastProgressAt < BACKFILL_PROGRESS_MS) return;
+      lastProgressAt = Date.now();
+      await interaction.editReply(
+        ui(title, [bullet(`Processed \`${done}\` / \`${total}\` rows…`)])
+      ).catch(() => {});
+    };
+
+    try {
+      await onProgress(0, rows.length);
+      const results = [
+        ...errors.map((e) => ({ row: e.row, email: e.email, result: e.error })),
+        ...await runBackfill(ctx, interaction.guild, rows, { dryRun, actor: actorOf(interaction), onProgress }),
+      ];
+      const counts = tallyBackfill(results);
+      const summary = [...counts].map(([result, n]) => `${result} ${n}`).join(" • ");
+
+      await postBotLog(ctx, "admin_backfill", {
+        userTag: interaction.user.tag,
+        userId: interaction.user.id,
+        count: results.length,
+        dryRun,
+        message: `${file.name}: ${summary || "no rows"}`,
+      }, !dryRun && (counts.get("linked") || 0) ? "SUCCESS" : "INFO");
+
+      const linked = counts.get(dryRun ? "would_link" : "linked") || 0;
+      const report = {
+        content: ui(title, [
+          bullet(`Rows: \`${results.length}\``),
+          linked
+            ? ok(`${dryRun ? "Would link" : "Linked"} \`${linked}\` email${linked === 1 ? "" : "s"}.`)
+            : warn("Nothing to link."),
+          ...[...counts].filter(([result]) => result !== "linked" && result !== "would_link")
+            .map(([result, n]) => bullet(`${result}: \`${n}\``)),
+          dryRun && linked ? hint("Nothing was written. Run again with `dry_run:false` to apply.") : null,
+          hint("Per-row results are in the attached CSV."),
+        ]),
+        files: [new AttachmentBuilder(Buffer.from(backfillToCsv(results), "utf8"), { name: `backfill-${ctx.guildId}.csv` })],
+      };
+
+      return await deliverBackfillReport(ctx, interaction, report);
+    } catch (err) {
+      await postBotLog(ctx, "admin_backfill_error", {
+        userTag: interaction.user.tag,
+        userId: interaction.user.id,
+        dryRun,
+        error: err?.message || String(err),
+      }, "ERROR");
+
+      // The token may have expired during a long run; the log channel already has the error
+      return interaction.editReply(
+        ui("Backfill failed", [
+          bad("Something went wrong running the backfill."),
+          hint("Rows processed before the error were kept. Check the logs channel for details."),
+        ])
+      ).catch(() => {});
+    }
+  }
+
+  /* =====================
+     /forget (ADMIN)
+  ===================== */
+  if (cmd === "forget") {
+    const target = interaction.options.getUser("user");
+    const reason = interaction.options.getString("reason");
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    try {
+      const { count, fingerprints, inGuild, rolesStripped } = await forgetMember(ctx, interaction.guild, target.id, {
+        ...actorOf(interaction),
+        reason,
+      });
+
+      await postBotLog(ctx, "admin_forget", {
+        userTag: interaction.user.tag,
+        userId: interaction.user.id,
+        targetUserId: target.id,
+        count,
+        reason,
+        message: fingerprints.length ? `Deleted: ${fingerprints.map((f) => `\`${f}\``).join(", ")}` : "Nothing stored",
+      }, "WARN");
+
+      return interaction.editReply(
+        ui("Member data deleted", [
+          count
+            ? ok(`Deleted \`${count}\` linked email(s) for <@${target.id}>.`)
+            : warn(`Nothing stored for <@${target.id}>.`),
+          !inGuild
+            ? bullet("Not in this server; no roles to change.")
+            : rolesStripped
+              ? bullet(`Paid tier roles removed; they keep ${fmtRole(baseRoleName(ctx))}.`)
+              : warn("Couldn’t remove their tier roles (check the bot's role position); remove them by hand."),
+          fingerprints.length ? bullet(`History keeps the fingerprints only: ${fingerprints.map((f) => `\`${f}\``).join(", ")}`) : null,
+        ])
+      );
+    } catch (err) {
+      await postBotLog(ctx, "admin_forget_error", {
+        userTag: interaction.user.tag,
+        userId: interaction.user.id,
+        targetUserId: target.id,
+        reason,
+        error: err?.message || String(err),
+      }, "ERROR");
+
+      return interaction.editReply(
+        ui("Delete failed", [
+          bad("Something went wrong deleting that member's data."),
+          hint("Check the logs channel for details."),
+        ])
+      );
+    }
+  }
+
+  /* =====================
+     /clear-lockout (ADMIN)
+  ===================== */
+  if (cmd === "clear-lockout") {
+    const target = interaction.options.getUser("user");
+    const cleared = { ...clearLockout(target.id), codeGuesses: resetCodeAttempts(target.id) };
+    const anything = cleared.lockout || cleared.failures > 0 || cleared.cooldown || cleared.codeGuesses > 0;
+
+    await postBotLog(ctx, "admin_clear_lockout", {
+      userTag: interaction.user.tag,
+      userId: interaction.user.id,
+      targetUserId: target.id,
+      count: cleared.failures,
+      message: anything
+        ? `lockout: ${cleared.lockout ? "cleared" : "none"} • failed attempts reset: ${cleared.failures} • wrong codes reset: ${cleared.codeGuesses} • cooldown: ${cleared.cooldown ? "cleared" : "none"}`
+        : "Nothing to clear",
+    }, "INFO");
+
+    return interaction.reply({
+      content: ui("Verify lockout", [
+        anything ? ok(`<@${target.id}> can use \`/verify\` again.`) : warn(`<@${target.id}> wasn’t locked out.`),
+        cleared.lockout ? bullet("Lockout lifted.") : null,
+        cleared.failures ? bullet(`Failed attempts reset: \`${cleared.failures}\``) : null,
+        cleared.codeGuesses ? bullet(`Wrong codes reset: \`${cleared.codeGuesses}\``) : null,
+        cleared.cooldown ? bullet("Code cooldown cleared.") : null,
+        hint(`Lockout: ${MAX_FAILURES} failures within ${FAILURE_WINDOW_MINUTES}m → ${LOCKOUT_MINUTES}m.`),
+      ]),
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  /* =====================
+     /tiers (ADMIN)
+  ===================== */
+  if (cmd === "tiers") {
+    const { tierStore } = ctx;
+    const reloaded = interaction.options.getBoolean("reload") ? tierStore.reload() : null;
+    const { baseRole, tiers } = tierStore.get();
+
+    await postBotLog(ctx, "admin_tiers", {
+      userTag: interaction.user.tag,
+      userId: interaction.user.id,
+      count: tiers.length,
+      message: reloaded ? (reloaded.ok ? "Reloaded tier config" : "Reload failed; previous config kept") : undefined,
+    }, "INFO");
+
+    const content = ui("Active tier mapping", [
+      reloaded && (reloaded.ok ? ok("Config reloaded.") : bad(`Reload failed, previous mapping kept:\n\`\`\`${reloaded.error.slice(0, 600)}\`\`\``)),
+      bullet(`File: \`${tierStore.path}\``),
+      bullet(`Loaded: \`${tierStore.loadedAt().toISOString()}\``),
+      bullet(`Base role: ${fmtRole(baseRole)}`),
+      ...tiers.map((t) => bullet(`${fmtRole(t.role)} (priority \`${t.priority}\`) — ${describeTierMatch(t.source)}`)),
+      hint("Highest priority wins. Edit the file to change it; it reloads automatically."),
+    ]);
+
+    return interaction.reply({
+      content: clampReply(content),
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  /* =====================
+     /forget-me (EVERYONE)
+  ===================== */
+  if (cmd === "forget-me") {
+    return requestForgetMe(ctx, interaction);
+  }
+
+  /* =====================
+     /verify-code (EVERYONE)
+  ===================== */
+  if (cmd === "verify-code") {
+    return redeemVerificationCode(ctx, interaction, interaction.options.getString("code"));
+  }
 
-    await postBotLog(client, "shopify_line_items", {
+  /* =====================
+     /verify (EVERYONE)
+  ===================== */
+  return requestVerificationCode(ctx, interaction, normEmail(interaction.options.getString("email")));
+});
+
+/* =======================
+   VERIFY PIPELINE
+   (runs after the code is confirmed)
+======================= */
+async function completeVerification(ctx, interaction, email) {
+  const { links } = ctx;
+  const tr = translator(interaction.locale);
+  const existing = links.getByEmail(email);
+
+  // Re-check: someone else may have linked it while the code was pending
+  // (they proved they own the inbox, so telling them is no leak)
+  if (isLinkedElsewhere(existing, interaction.user.id)) {
+    await postBotLog(ctx, "verify_email_already_linked", {
+      email,
+      userTag: interaction.user.tag,
+      userId: interaction.user.id,
+      existingUserId: existing.discordUserId,
+    }, "WARN");
+    await noteVerifyFailure(ctx, interaction, "email_linked_elsewhere");
+
+    return interaction.reply({
+      content: ui(tr("complete.alreadyLinkedTitle"), [
+        bad(tr("complete.alreadyLinked")),
+        bullet(tr("complete.alreadyLinkedSupport")),
+        hint(tr("complete.alreadyLinkedHint")),
+      ]),
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  await interaction.reply({
+    content: ui(tr("complete.checkingTitle"), [
+      bullet(tr("complete.checking")),
+      hint(tr("complete.checkingHint")),
+    ]),
+    flags: MessageFlags.Ephemeral,
+  });
+
+  try {
+    // Every line item across all orders, each with paidAt + order/product IDs.
+    // Refunded / voided / cancelled / disputed items never grant a tier (access.js decides).
+    const decision = access.decideVerification({
+      tiers: getTiers(ctx),
+      audit: ctx.audit,
+      email,
+      discordUserId: interaction.user.id,
+      userRecords: links.getByDiscordUser(interaction.user.id),
+      items: await getOrderLineItemsByEmail(email),
+    });
+    const { items, revoked, titles, tier, lostToRevocation } = decision;
+    const matchedIsSubscription = decision.isSubscription;
+    const lastPaidAtIso = decision.lastPaidAt; // null only if Shopify had no paid date at all
+
+    // Dedicated event when a refund/chargeback is why they get less than their orders suggest
+    if (lostToRevocation) {
+      await postBotLog(ctx, "verify_payment_revoked", {
+        email,
+        userTag: interaction.user.tag,
+        userId: interaction.user.id,
+        matchedRole: tier?.role ?? null,
+        items: revoked,
+        reason: [...new Set(revoked.map((i) => REVOKED_LABELS[i.revokedReason] || i.revokedReason))].join(", "),
+      }, "WARN");
+    }
+
+    await postBotLog(ctx, "shopify_line_items", {
       email,
       userTag: interaction.user.tag,
       userId: interaction.user.id,
@@ -623,80 +2810,95 @@ client.on(Events.InteractionCreate, async (interaction) => {
       count: items.length,
     }, "INFO");
 
-    if (!titles.length) {
-      await postBotLog(client, "verify_no_paid_orders", {
+    if (decision.outcome === "no_paid_orders") {
+      await postBotLog(ctx, "verify_no_paid_orders", {
         email,
         userTag: interaction.user.tag,
         userId: interaction.user.id,
       }, "WARN");
+      await noteVerifyFailure(ctx, interaction, "no_paid_orders");
+      metrics.verifyOutcomes.inc({ outcome: "no_paid_orders" });
 
       return interaction.editReply(
-        ui("No paid order found", [
-          bad("I couldn’t find a **paid** order for that email."),
-          bullet("Make sure you used the same checkout email."),
-          bullet("If you paid recently, wait 1–2 minutes then try again."),
+        ui(tr("complete.noPaidTitle"), [
+          bad(tr("complete.noPaid")),
+          lostToRevocation
+            ? bullet(tr("complete.noPaidRevoked"))
+            : bullet(tr("complete.noPaidSameEmail")),
+          lostToRevocation
+            ? hint(tr("complete.noPaidRevokedHint"))
+            : bullet(tr("complete.noPaidWait")),
         ])
       );
     }
 
-    await postBotLog(client, "tier_matched", {
+    await postBotLog(ctx, "tier_matched", {
       email,
       userTag: interaction.user.tag,
       userId: interaction.user.id,
       matchedRole: tier?.role ?? null,
     }, "INFO");
 
-    if (!tier) {
-      await postBotLog(client, "verify_paid_but_no_tier_match", {
+    if (decision.outcome === "tier_mismatch") {
+      await postBotLog(ctx, "verify_paid_but_no_tier_match", {
         email,
         userTag: interaction.user.tag,
         userId: interaction.user.id,
         titles,
       }, "WARN");
+      await noteVerifyFailure(ctx, interaction, "no_tier_match");
+      metrics.verifyOutcomes.inc({ outcome: "tier_mismatch" });
 
       return interaction.editReply(
-        ui("Paid order found, but tier mismatch", [
-          warn("I found a paid order, but couldn’t match it to a tier."),
-          bullet("This usually means the Shopify product title doesn’t match the bot mapping."),
-          hint("Admin can check `/status` in the logs channel."),
+        ui(tr("complete.noTierTitle"), [
+          warn(tr("complete.noTier")),
+          bullet(tr("complete.noTierExplain")),
+          hint(tr("complete.noTierHint")),
         ])
       );
     }
 
-    // ✅ Determine subscription ONLY for the matched tier line item
-    const matchedIsSubscription = items.some((li) =>
-      isTierTitleMatch(li.title, tier.product) && li.isSubscription === true
-    );
-
-    // ✅ lastPaidAt: take newest paidAt we can find (requires shopify.js patch)
-    const paidDates = items.map((x) => x.paidAt).filter(Boolean).map((d) => new Date(d));
-    const newestPaid = paidDates.length ? new Date(Math.max(...paidDates.map((d) => d.getTime()))) : null;
+    // Subscriptions: remember the Shopify contract so the audit can follow its status
+    const contract = matchedIsSubscription ? await findTierContract(ctx, email, tier.role) : null;
 
-    // If we can't detect paid date, fall back to "now" but mark it (safer is to NOT enforce audit until it's correct)
-    const lastPaidAtIso = newestPaid && !Number.isNaN(newestPaid.getTime())
-      ? newestPaid.toISOString()
-      : null;
+    // Highest tier across this email + every other email linked to this member
+    const { beforeRole, grantedRole, otherRecords } = decision;
 
-    await setExclusiveTierRole(interaction.member, interaction.guild, tier.role);
+    await setExclusiveTierRole(ctx, interaction.member, interaction.guild, grantedRole);
+    clearFailures(interaction.user.id);
 
     // ✅ Save email ↔ user after success + subscription audit fields
-    emailMap[email] = {
+    links.upsert(email, {
       discordUserId: interaction.user.id,
       userTag: interaction.user.tag,
       tier: tier.role,
 
       // 🔥 NEW fields (critical for audit)
       isSubscription: matchedIsSubscription,
-      lastPaidAt: lastPaidAtIso, // null if shopify.js doesn't supply paidAt yet
+      lastPaidAt: lastPaidAtIso,
+      ...(contract ? contractFields(contract) : {}),
+
+      locale: interaction.locale, // reminders go out in the member's language
 
       updatedAt: new Date().toISOString(),
-    };
-    saveEmailMap(emailMap);
+    });
+
+    recordAccessEvent(ctx, {
+      ...actorOf(interaction),
+      action: "grant",
+      email,
+      discordUserId: interaction.user.id,
+      beforeTier: beforeRole,
+      afterTier: grantedRole,
+      reason: "verify",
+      details: { emailTier: tier.role, isSubscription: matchedIsSubscription, contractId: contract?.id },
+    });
 
     logger.info({
       event: "verify_success",
       email,
       tier: tier.role,
+      grantedRole,
       isSubscription: matchedIsSubscription,
       lastPaidAt: lastPaidAtIso,
       userId: interaction.user.id,
@@ -704,27 +2906,36 @@ client.on(Events.InteractionCreate, async (interaction) => {
       at: new Date().toISOString(),
     });
 
-    await postBotLog(client, "verify_success", {
+    await postBotLog(ctx, "verify_success", {
       email,
       userTag: interaction.user.tag,
       userId: interaction.user.id,
-      grantedRole: tier.role,
+      grantedRole,
+      matchedRole: tier.role,
+      count: otherRecords.length + 1,
+      contractId: contract?.id,
       subscription: matchedIsSubscription,
       lastPaidAt: lastPaidAtIso || "missing",
-      message: lastPaidAtIso ? "Saved lastPaidAt for audit ✅" : "⚠️ lastPaidAt missing (fix shopify.js to include paidAt)",
+      message: lastPaidAtIso ? "Saved lastPaidAt for audit ✅" : "⚠️ lastPaidAt missing (Shopify returned no paid date)",
     }, lastPaidAtIso ? "SUCCESS" : "WARN");
 
+    metrics.verifyOutcomes.inc({ outcome: "success" });
+
     return interaction.editReply(
-      ui("Verification complete", [
-        ok(`Access granted: ${fmtRole(tier.role)}`),
-        bullet("If you upgraded, your lower tier role was removed automatically."),
-        matchedIsSubscription ? ok("Subscription detected ✅ (audit applies)") : warn("Not a subscription (audit will ignore you)"),
-        lastPaidAtIso ? ok(`Last paid recorded ✅`) : warn("Last paid missing ⚠️ (admin must patch shopify.js)"),
-        hint("You can now access your channels."),
+      ui(tr("complete.successTitle"), [
+        ok(tr("complete.granted", { role: fmtRole(grantedRole) })),
+        grantedRole !== tier.role
+          ? bullet(tr("complete.keptByOtherEmail", { tier: fmtRole(tier.role), role: fmtRole(grantedRole) }))
+          : null,
+        bullet(tr("complete.upgraded")),
+        matchedIsSubscription ? ok(tr("complete.subscription")) : warn(tr("complete.notSubscription")),
+        lastPaidAtIso ? ok(tr("complete.lastPaid")) : warn(tr("complete.lastPaidMissing")),
+        hint(tr("complete.successHint")),
       ])
     );
   } catch (err) {
     console.error("VERIFY_ERROR:", err);
+    metrics.verifyOutcomes.inc({ outcome: "error" });
 
     logger.error({
       event: "verify_error",
@@ -735,7 +2946,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
       at: new Date().toISOString(),
     });
 
-    await postBotLog(client, "verify_error", {
+    await postBotLog(ctx, "verify_error", {
       email,
       userTag: interaction.user.tag,
       userId: interaction.user.id,
@@ -743,23 +2954,334 @@ client.on(Events.InteractionCreate, async (interaction) => {
     }, "ERROR");
 
     return interaction.editReply(
-      ui("Verification failed", [
-        warn("Something went wrong on our side."),
-        bullet("Please try again in 60 seconds."),
-        hint("If it keeps failing, contact support."),
+      ui(tr("complete.errorTitle"), [
+        warn(tr("complete.error")),
+        bullet(tr("common.retryLater")),
+        hint(tr("common.contactSupport")),
       ])
     );
   }
+}
+
+/* =======================
+   VERIFY PANEL
+   (pinned button + modals in the verify channel)
+======================= */
+const PANEL_IDS = {
+  open: "verify-panel:open", // panel button → email modal
+  email: "verify-panel:email", // email modal submit
+  enterCode: "verify-panel:code", // "Check your inbox" button → code modal
+  code: "verify-panel:code-submit", // code modal submit
+};
+
+const panelMessageIds = new Map(); // guildId -> pinned panel message id
+const panelInFlight = new Map(); // guildId -> ensureVerifyPanel promise (ready + delete can race)
+const lastTypingHint = new Map(); // discordUserId -> last hint (ms)
+
+function enterCodeRow(tr) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(PANEL_IDS.enterCode).setLabel(tr("panel.enterCodeButton")).setEmoji("🔢").setStyle(ButtonStyle.Primary)
+  );
+}
+
+// The panel is shared by everyone, so it uses the server's language
+function verifyPanelMessage(tr) {
+  const embed = new EmbedBuilder()
+    .setTitle(tr("panel.title"))
+    .setColor(0x2ecc71)
+    .setDescription([
+      tr("panel.intro"),
+      "",
+      tr("panel.step1"),
+      tr("panel.step2"),
+      "",
+      tr("panel.footer", { minutes: CODE_TTL_MINUTES }),
+    ].join("\n"));
+
+  return {
+    embeds: [embed],
+    components: [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(PANEL_IDS.open).setLabel(tr("panel.verifyButton")).setEmoji("✅").setStyle(ButtonStyle.Success)
+      ),
+    ],
+  };
+}
+
+function emailModal(tr) {
+  return new ModalBuilder()
+    .setCustomId(PANEL_IDS.email)
+    .setTitle(tr("panel.emailModalTitle"))
+    .addComponents(new ActionRowBuilder().addComponents(
+      new TextInputBuilder()
+        .setCustomId("email")
+        .setLabel(tr("panel.emailLabel"))
+        .setPlaceholder(tr("panel.emailPlaceholder"))
+        .setStyle(TextInputStyle.Short)
+        .setMaxLength(254)
+        .setRequired(true)
+    ));
+}
+
+function codeModal(tr) {
+  return new ModalBuilder()
+    .setCustomId(PANEL_IDS.code)
+    .setTitle(tr("panel.codeModalTitle"))
+    .addComponents(new ActionRowBuilder().addComponents(
+      new TextInputBuilder()
+        .setCustomId("code")
+        .setLabel(tr("panel.codeLabel"))
+        .setStyle(TextInputStyle.Short)
+        .setMinLength(6)
+        .setMaxLength(6)
+        .setRequired(true)
+    ));
+}
+
+function guildTranslator(ctx) {
+  return translator(client.guilds.cache.get(ctx.guildId)?.preferredLocale);
+}
+
+function findVerifyChannel(ctx) {
+  const guild = client.guilds.cache.get(ctx.guildId);
+  return guild?.channels.cache.find((c) => c.name === ctx.verifyChannelName && c.isTextBased()) || null;
+}
+
+function isVerifyPanel(message) {
+  return message.author?.id === client.user.id &&
+    message.components.some((row) => row.components?.some((c) => c.customId === PANEL_IDS.open));
+}
+
+// Finds the pinned panel (or posts + pins a new one) and remembers its id
+function ensureVerifyPanel(ctx) {
+  if (!panelInFlight.has(ctx.guildId)) {
+    panelInFlight.set(ctx.guildId, syncVerifyPanel(ctx).finally(() => panelInFlight.delete(ctx.guildId)));
+  }
+  return panelInFlight.get(ctx.guildId);
+}
+
+async function syncVerifyPanel(ctx) {
+  const channel = findVerifyChannel(ctx);
+  if (!channel) {
+    logger.warn({ event: "verify_panel_no_channel", guildId: ctx.guildId, channel: ctx.verifyChannelName });
+    return null;
+  }
+
+  try {
+    const { items } = await channel.messages.fetchPins();
+    const existing = items.map((p) => p.message).find(isVerifyPanel);
+    if (existing) {
+      panelMessageIds.set(ctx.guildId, existing.id);
+      return existing;
+    }
+
+    const panel = await channel.send(verifyPanelMessage(guildTranslator(ctx)));
+    panelMessageIds.set(ctx.guildId, panel.id);
+
+    const pinned = await panel.pin().then(() => true).catch((err) => {
+      logger.warn({ event: "verify_panel_pin_failed", guildId: ctx.guildId, error: err?.message || String(err) });
+      return false;
+    });
+
+    await postBotLog(ctx, "verify_panel_posted", {
+      message: pinned ? `Posted + pinned in #${channel.name}` : `Posted in #${channel.name} (couldn’t pin: needs Manage Messages)`,
+    }, pinned ? "INFO" : "WARN");
+
+    return panel;
+  } catch (err) {
+    await postBotLog(ctx, "verify_panel_error", { error: err?.message || String(err) }, "ERROR");
+    return null;
+  }
+}
+
+async function handlePanelInteraction(interaction) {
+  if (!Object.values(PANEL_IDS).includes(interaction.customId)) return;
+
+  const tr = translator(interaction.locale);
+  const ctx = guilds.get(interaction.guildId);
+  if (!ctx) return interaction.reply(notAvailableReply(tr));
+
+  switch (interaction.customId) {
+    case PANEL_IDS.open: {
+      // Say so now rather than after they typed their email
+      const lockedFor = lockoutSecondsLeft(interaction.user.id);
+      if (lockedFor) return interaction.reply(lockedOutReply(tr, lockedFor));
+      return interaction.showModal(emailModal(tr));
+    }
+    case PANEL_IDS.enterCode:
+      return interaction.showModal(codeModal(tr));
+    case PANEL_IDS.email:
+      return requestVerificationCode(ctx, interaction, normEmail(interaction.fields.getTextInputValue("email")));
+    case PANEL_IDS.code:
+      return redeemVerificationCode(ctx, interaction, interaction.fields.getTextInputValue("code").trim());
+  }
+}
+
+// Someone deleted the panel: put it back
+client.on(Events.MessageDelete, async (message) => {
+  const ctx = guilds.get(message.guildId);
+  if (!ctx || panelMessageIds.get(ctx.guildId) !== message.id) return;
+
+  panelMessageIds.delete(ctx.guildId);
+  await postBotLog(ctx, "verify_panel_deleted", { message: "Verify panel was deleted • posting a new one" }, "WARN");
+  await ensureVerifyPanel(ctx);
+});
+
+client.on(Events.MessageBulkDelete, async (messages, channel) => {
+  const ctx = guilds.get(channel.guildId);
+  if (!ctx || !messages.has(panelMessageIds.get(ctx.guildId))) return;
+
+  panelMessageIds.delete(ctx.guildId);
+  await postBotLog(ctx, "verify_panel_deleted", { message: "Verify panel was bulk-deleted • posting a new one" }, "WARN");
+  await ensureVerifyPanel(ctx);
 });
 
 /* =======================
    VERIFY CHANNEL CLEANUP
 ======================= */
 client.on(Events.MessageCreate, async (message) => {
+  const ctx = guilds.get(message.guildId);
+  if (!ctx || message.channel.name !== ctx.verifyChannelName) return;
+
+  // Drop our own "pinned a message" notice, keep everything else the bot posts
+  if (message.type === MessageType.ChannelPinnedMessage && message.author.id === client.user.id) {
+    await message.delete().catch(() => {});
+    return;
+  }
   if (message.author.bot) return;
-  if (message.channel.name !== VERIFY_CHANNEL_NAME) return;
+
+  // Plain messages can't get an ephemeral reply: post a hint only the author is pinged by,
+  // then remove it a few seconds later (at most one per member every VERIFY_HINT_SECONDS)
+  const now = Date.now();
+  for (const [userId, at] of lastTypingHint) {
+    if (now - at >= VERIFY_HINT_SECONDS * 1000) lastTypingHint.delete(userId);
+  }
+  if (!lastTypingHint.has(message.author.id)) {
+    lastTypingHint.set(message.author.id, now);
+
+    // No interaction locale on a plain message: use the server's language
+    const tr = guildTranslator(ctx);
+    const panelId = panelMessageIds.get(ctx.guildId);
+    const where = panelId
+      ? `https://discord.com/channels/${ctx.guildId}/${message.channel.id}/${panelId}`
+      : tr("panel.thePinnedPanel");
+
+    const notice = await message.channel.send({
+      content: tr("panel.typingHint", { user: `<@${message.author.id}>`, where }),
+      allowedMentions: { users: [message.author.id] },
+    }).catch(() => null);
+    if (notice) setTimeout(() => notice.delete().catch(() => {}), VERIFY_HINT_SECONDS * 1000);
+  }
+
   await message.delete().catch(() => {});
 });
 
+/* =======================
+   MEMBER JOIN / LEAVE
+   (restore tiers on rejoin)
+======================= */
+// Live contract state for the member's paying subscriptions. A failed lookup leaves the email out,
+// so it's judged on its stored state instead (Shopify being down never costs anyone their tier).
+async function liveContractsFor(ctx, records) {
+  const contracts = new Map();
+  for (const rec of records) {
+    if (rec.isSubscription !== true || !rec.tier || rec.tier === baseRoleName(ctx)) continue;
+    try {
+      contracts.set(rec.email, rec.contractId
+        ? await getSubscriptionContractById(rec.contractId)
+        : await findTierContract(ctx, rec.email, rec.tier));
+    } catch (err) {
+      logger.warn({ event: "rejoin_contract_lookup_error", guildId: ctx.guildId, email: rec.email, error: err?.message || String(err) });
+    }
+  }
+  return contracts;
+}
+
+// A linked member came back: give them the tier their records still back (same checks as the audit)
+client.on(Events.GuildMemberAdd, async (member) => {
+  const ctx = guilds.get(member.guild.id);
+  if (!ctx || member.user.bot) return;
+
+  const records = ctx.links.getByDiscordUser(member.id);
+  if (!records.length) return;
+
+  try {
+    const now = new Date();
+    const role = access.decideRejoinRole(getTiers(ctx), records, await liveContractsFor(ctx, records), now, ctx.audit)
+      ?? baseRoleName(ctx);
+    await applyMemberTier(ctx, member, member.guild, role);
+
+    clearRecordsLeft(ctx, records, now);
+
+    recordAccessEvent(ctx, {
+      ...SYSTEM_MEMBERS,
+      action: "rejoin",
+      email: records[0].email,
+      discordUserId: member.id,
+      beforeTier: null,
+      afterTier: role,
+      reason: "member_rejoined",
+      details: { emails: emailFingerprints(records.map((r) => r.email)) },
+    });
+
+    await postBotLog(ctx, "member_rejoined", {
+      userId: member.id,
+      userTag: member.user.tag,
+      targetUserId: member.id,
+      grantedRole: role,
+      count: records.length,
+      message: role === baseRoleName(ctx)
+        ? "Linked member rejoined • no linked email still backs a paid tier"
+        : "Linked member rejoined • tier restored",
+    }, role === baseRoleName(ctx) ? "INFO" : "SUCCESS");
+  } catch (err) {
+    await postBotLog(ctx, "member_rejoin_error", {
+      userId: member.id,
+      userTag: member.user.tag,
+      error: err?.message || String(err),
+    }, "ERROR");
+  }
+});
+
+// Keeps the first leftAt when called again
+function markRecordsLeft(ctx, records, now = new Date()) {
+  for (const rec of records) {
+    if (!rec.leftAt) ctx.links.upsert(rec.email, { ...rec, leftAt: now.toISOString() });
+  }
+}
+
+function clearRecordsLeft(ctx, records, now = new Date()) {
+  for (const { leftAt, ...rec } of records) {
+    if (leftAt) ctx.links.upsert(rec.email, { ...rec, rejoinedAt: now.toISOString() });
+  }
+}
+
+// Linked member left: mark their records so the audit stops looking for them until they return
+client.on(Events.GuildMemberRemove, async (member) => {
+  const ctx = guilds.get(member.guild.id);
+  if (!ctx) return;
+
+  const records = ctx.links.getByDiscordUser(member.id);
+  if (!records.length) return;
+
+  markRecordsLeft(ctx, records);
+  recordAccessEvent(ctx, {
+    ...SYSTEM_MEMBERS,
+    action: "left",
+    email: records[0].email,
+    discordUserId: member.id,
+    beforeTier: effectiveRole(ctx, records),
+    afterTier: null,
+    reason: "member_left",
+    details: { emails: emailFingerprints(records.map((r) => r.email)) },
+  });
+  logger.info({ event: "member_left", guildId: ctx.guildId, userId: member.id, emails: records.length });
+});
+
+// Rejected listeners (captureRejections) and gateway errors land here; without a listener they'd crash the bot
+client.on(Events.Error, (err) => {
+  logger.error({ event: "discord_client_error", err: err?.stack || String(err) });
+});
+
 client.login(process.env.DISCORD_TOKEN);
 
@@ -0,0 +1,87 @@
+// log-queue.js
+
+/*
+  Ordered, paced delivery for the bot log channels (postBotLog in index.js).
+
+  One FIFO per channel, at most one message per intervalMs (Discord allows about 5 per 5s per channel).
+  A failed send is retried with backoff, honouring retry-after on rate limits. Permanent errors
+  (channel gone, no access), exhausted retries and overflow go to onFailure: nothing is dropped silently.
+*/
+
+// Unknown Channel, Missing Access, Missing Permissions
+const PERMANENT_DISCORD_CODES = new Set([10003, 50001, 50013]);
+
+function isPermanent(err) {
+  return err?.permanent === true || PERMANENT_DISCORD_CODES.has(err?.code) || err?.status === 403 || err?.status === 404;
+}
+
+// discord.js RateLimitError has retryAfter (ms); a raw 429 body has retry_after (seconds)
+function retryDelayMs(err, attempt, backoffMs) {
+  if (Number.isFinite(err?.retryAfter)) return err.retryAfter;
+  if (Number.isFinite(err?.rawError?.retry_after)) return err.rawError.retry_after * 1000;
+  return backoffMs * 2 ** (attempt - 1);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * send(channelId, message) → Promise: does the actual delivery (throw to fail).
+ * onFailure({ channelId, meta, reason, error, attempts }): reason is permanent | retries_exhausted | overflow.
+ * Returns { push(channelId, message, meta) → Promise<boolean> (delivered?), pending() }.
+ */
+function createMessageQueue({ send, intervalMs = 1100, retries = 3, backoffMs = 2000, maxQueued = 500, onFailure = () => {} }) {
+  const queues = new Map(); // channelId -> [{ message, meta, resolve }]
+
+  async function deliver(channelId, job) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await send(channelId, job.message);
+        return true;
+      } catch (error) {
+        const permanent = isPermanent(error);
+        if (permanent || attempt > retries) {
+          onFailure({ channelId, meta: job.meta, reason: permanent ? "permanent" : "retries_exhausted", error, attempts: attempt });
+          return false;
+        }
+        await sleep(retryDelayMs(error, attempt, backoffMs));
+      }
+    }
+  }
+
+  async function drain(channelId, queue) {
+    while (queue.length) {
+      const job = queue[0];
+      job.resolve(await deliver(channelId, job));
+      queue.shift();
+      if (queue.length) await sleep(intervalMs);
+    }
+    queues.delete(channelId);
+  }
+
+  function push(channelId, message, meta = {}) {
+    return new Promise((resolve) => {
+      let queue = queues.get(channelId);
+      const idle = !queue;
+      if (idle) {
+        queue = [];
+        queues.set(channelId, queue);
+      }
+
+      // Full: drop the oldest waiting message (never the one being sent)
+      if (queue.length > maxQueued) {
+        const [dropped] = queue.splice(1, 1);
+        onFailure({ channelId, meta: dropped.meta, reason: "overflow", error: null, attempts: 0 });
+        dropped.resolve(false);
+      }
+
+      queue.push({ message, meta, resolve });
+      if (idle) drain(channelId, queue);
+    });
+  }
+
+  const pending = () => [...queues.values()].reduce((n, q) => n + q.length, 0);
+
+  return { push, pending };
+}
+
+module.exports = { createMessageQueue, isPermanent };
@@ -0,0 +1,105 @@
+// mailer.js
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+
+const logger = require("./logger");
+const { translator } = require("./i18n");
+
+// smtp (default) | file | console
+const MAILER_TRANSPORT = (process.env.MAILER_TRANSPORT || "smtp").toLowerCase();
+const MAIL_FROM = process.env.MAIL_FROM || process.env.SMTP_USER || "";
+const MAILER_FILE_PATH = process.env.MAILER_FILE_PATH || path.join(__dirname, "data", "outbox.log");
+
+function createSmtpTransport() {
+  const nodemailer = require("nodemailer");
+  const { SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS } = process.env;
+
+  const missing = [];
+  if (!SMTP_HOST) missing.push("SMTP_HOST");
+  if (!MAIL_FROM) missing.push("MAIL_FROM");
+  if (missing.length) {
+    throw new Error(`Missing env vars: ${missing.join(", ")}`);
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: Number(SMTP_PORT ?? "587"),
+    secure: process.env.SMTP_SECURE === "true",
+    auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: (msg) => transporter.sendMail({ from: MAIL_FROM, ...msg }),
+  };
+}
+
+// Local testing: append every message to a file instead of sending it
+function createFileTransport() {
+  return {
+    name: "file",
+    async send(msg) {
+      fs.mkdirSync(path.dirname(MAILER_FILE_PATH), { recursive: true });
+      const entry = { at: new Date().toISOString(), from: MAIL_FROM, ...msg };
+      fs.appendFileSync(MAILER_FILE_PATH, JSON.stringify(entry) + "\n");
+    },
+  };
+}
+
+// Local testing: print every message to stdout
+function createConsoleTransport() {
+  return {
+    name: "console",
+    async send(msg) {
+      console.log(`📧 To: ${msg.to}\nSubject: ${msg.subject}\n\n${msg.text}\n`);
+    },
+  };
+}
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let transport = null;
+
+function getTransport() {
+  if (transport) return transport;
+
+  const factory = TRANSPORTS[MAILER_TRANSPORT];
+  if (!factory) {
+    throw new Error(`Unknown MAILER_TRANSPORT: ${MAILER_TRANSPORT} (use ${Object.keys(TRANSPORTS).join(", ")})`);
+  }
+  transport = factory();
+  return transport;
+}
+
+// Swap the transport at runtime (e.g. a custom provider). Must expose send({ to, subject, text }).
+function setTransport(custom) {
+  transport = custom;
+}
+
+async function sendMail({ to, subject, text }) {
+  const t = getTransport();
+  await t.send({ to, subject, text });
+  logger.info({ event: "mail_sent", transport: t.name, subject });
+}
+
+// locale: the Discord locale the member asked from (locales/*.json "mail", English when we have none)
+async function sendVerificationCode(email, code, ttlMinutes, locale) {
+  const tr = translator(locale);
+  await sendMail({
+    to: email,
+    subject: tr("mail.subject", { code }),
+    text: [
+      tr("mail.code", { code }),
+      "",
+      tr("mail.expires", { minutes: ttlMinutes }),
+      tr("mail.ignore"),
+    ].join("\n"),
+  });
+}
+
+module.exports = { sendMail, sendVerificationCode, setTransport };
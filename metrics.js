@@ -0,0 +1,116 @@
+// metrics.js
+const express = require("express");
+const promClient = require("prom-client");
+
+const logger = require("./logger");
+const { findClient } = require("./admin-api");
+
+// Prometheus metrics, served on GET /metrics
+const register = new promClient.Registry();
+promClient.collectDefaultMetrics({ register });
+
+// success | no_paid_orders | tier_mismatch | error
+const verifyOutcomes = new promClient.Counter({
+  name: "xplx_verify_outcomes_total",
+  help: "Verifications that reached the Shopify check, by outcome",
+  labelNames: ["outcome"],
+  registers: [register],
+});
+
+// One observation per HTTP attempt (retries count separately)
+const shopifyRequestDuration = new promClient.Histogram({
+  name: "xplx_shopify_request_duration_seconds",
+  help: "Shopify Admin GraphQL request latency",
+  labelNames: ["outcome"],
+  buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 20],
+  registers: [register],
+});
+
+// network | timeout | http | throttled | graphql
+const shopifyErrors = new promClient.Counter({
+  name: "xplx_shopify_errors_total",
+  help: "Failed Shopify requests, by kind",
+  labelNames: ["kind"],
+  registers: [register],
+});
+
+const auditDuration = new promClient.Histogram({
+  name: "xplx_audit_duration_seconds",
+  help: "Subscription audit run duration per guild",
+  labelNames: ["guild"],
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800],
+  registers: [register],
+});
+
+// source: audit | sync | revoke | forget
+const downgrades = new promClient.Counter({
+  name: "xplx_downgrades_total",
+  help: "Members moved down to the base role",
+  labelNames: ["guild", "source"],
+  registers: [register],
+});
+
+// permanent | retries_exhausted | overflow (see log-queue.js)
+const botLogFailures = new promClient.Counter({
+  name: "xplx_bot_log_failures_total",
+  help: "Log channel messages that could not be sent",
+  labelNames: ["reason"],
+  registers: [register],
+});
+
+// Filled at scrape time by the function passed to setLinkedMembersSource
+let linkedMembersSource = null;
+
+new promClient.Gauge({
+  name: "xplx_linked_members",
+  help: "Linked Discord members per effective tier",
+  labelNames: ["guild", "tier"],
+  registers: [register],
+  collect() {
+    this.reset();
+    for (const { guild, tier, count } of linkedMembersSource?.() ?? []) {
+      this.set({ guild, tier }, count);
+    }
+  },
+});
+
+// fn() → [{ guild, tier, count }]
+function setLinkedMembersSource(fn) {
+  linkedMembersSource = fn;
+}
+
+/**
+ * Router serving GET /metrics. token: required as `Authorization: Bearer <token>` (METRICS_TOKEN,
+ * same constant-time check as the admin API);
+ * null = no check, only for the METRICS_PORT listener that binds to a private address.
+ */
+function createMetricsRouter({ token = null } = {}) {
+  const tokens = token ? [{ name: "metrics", token }] : null;
+  const router = express.Router();
+
+  router.get("/metrics", async (req, res) => {
+    if (tokens) {
+      const header = req.get("Authorization") || "";
+      if (!findClient(tokens, header.startsWith("Bearer ") ? header.slice(7).trim() : "")) {
+        logger.warn({ event: "metrics_unauthorized", ip: req.ip });
+        return res.status(401).json({ error: "unauthorized" });
+      }
+    }
+    res.type(register.contentType);
+    res.send(await register.metrics());
+  });
+
+  return router;
+}
+
+module.exports = {
+  register,
+  createMetricsRouter,
+  verifyOutcomes,
+  shopifyRequestDuration,
+  shopifyErrors,
+  auditDuration,
+  downgrades,
+  botLogFailures,
+  setLinkedMembersSource,
+};
@@ -0,0 +1,47 @@
+// retention.js
+const crypto = require("crypto");
+
+const { DAY_MS } = require("./access");
+
+/*
+  Data deletion rules (/forget-me, /forget and the retention job in index.js).
+
+  Deleted emails never reach the logs: they show up as a fingerprint instead, so a deletion
+  can still be matched to a support request ("is abc123… gone?") without storing the address.
+  Fingerprints are keyed (repo.emailFingerprint picks the key): without the secret, nobody can
+  hash candidate addresses to find out whose data a log line was about. The repository fingerprints
+  the stored key (the HMAC when EMAIL_HASH_KEY is set), so a record holding only that key and the
+  address support gets from the customer come out the same.
+*/
+
+// ("buyer@example.com", secret) → "email:1f3a9c0b7d2e" (same normalisation as the records)
+function emailFingerprint(email, key) {
+  if (!key) throw new Error("emailFingerprint needs a key");
+  const hash = crypto.createHmac("sha256", key).update(String(email || "").trim().toLowerCase()).digest("hex");
+  return `email:${hash.slice(0, 12)}`;
+}
+
+/**
+ * Records the retention job should delete, as [{ rec, reason }]:
+ *   "left"        member left the server more than leftDays ago
+ *   "downgraded"  record backs no tier (base role) and hasn't changed in downgradedDays
+ * retention: { leftDays, downgradedDays } (0 = never purge for that reason). Manual links are kept.
+ */
+function findExpiredRecords(records, retention, baseRole, now = new Date()) {
+  const olderThan = (iso, days) => {
+    const at = iso ? new Date(iso).getTime() : NaN;
+    return days > 0 && Number.isFinite(at) && now.getTime() - at >= days * DAY_MS;
+  };
+
+  const expired = [];
+  for (const rec of records) {
+    if (olderThan(rec.leftAt, retention.leftDays)) {
+      expired.push({ rec, reason: "left" });
+    } else if (!rec.manualTier && (!rec.tier || rec.tier === baseRole) && olderThan(rec.updatedAt, retention.downgradedDays)) {
+      expired.push({ rec, reason: "downgraded" });
+    }
+  }
+  return expired;
+}
+
+module.exports = { emailFingerprint, findExpiredRecords };
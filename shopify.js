@@ -1,6 +1,9 @@
 // shopify.js
 require("dotenv").config();
 
+const logger = require("./logger");
+const { shopifyRequestDuration, shopifyErrors } = require("./metrics");
+
 const { SHOPIFY_STORE_DOMAIN, SHOPIFY_ADMIN_ACCESS_TOKEN, SHOPIFY_API_VERSION } =
   process.env;
 
@@ -14,52 +17,417 @@ function assertEnv() {
   }
 }
 
-async function shopifyGraphQL(query, variables = {}) {
-  assertEnv();
+/* =======================
+   TRANSPORT
+======================= */
+// fetch-compatible (url, init) → Response. null = the real store over fetch.
+// Tests (and offline runs with SHOPIFY_FIXTURES_PATH) swap in fake-shopify.js.
+let transport = null;
 
-  const url = `https://${SHOPIFY_STORE_DOMAIN}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`;
+function setShopifyTransport(fn) {
+  transport = fn || null;
+}
+
+if (process.env.SHOPIFY_FIXTURES_PATH) {
+  const { createFakeShopify, loadFixtures } = require("./fake-shopify");
+  transport = createFakeShopify({ fixtures: loadFixtures(process.env.SHOPIFY_FIXTURES_PATH) }).transport;
+  logger.warn({ event: "shopify_offline", fixtures: process.env.SHOPIFY_FIXTURES_PATH });
+}
+
+/* =======================
+   CLIENT
+   (cost budget, retries, timeout)
+======================= */
+const TIMEOUT_MS = Number(process.env.SHOPIFY_TIMEOUT_MS ?? "15000");
+const MAX_RETRIES = Number(process.env.SHOPIFY_MAX_RETRIES ?? "4");
+const BACKOFF_BASE_MS = 500;
+const DEFAULT_QUERY_COST = 100; // until Shopify has told us what a query really costs
+
+// Shopify's leaky bucket, as last reported in extensions.cost.throttleStatus
+const budget = {
+  maximumAvailable: 1000,
+  currentlyAvailable: 1000,
+  restoreRate: 50, // points per second
+  at: Date.now(),
+};
+
+const queryCosts = new Map(); // query text -> last requestedQueryCost
+let queue = Promise.resolve(); // requests wait their turn for budget in FIFO order
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function availableNow(now = Date.now()) {
+  const restored = ((now - budget.at) / 1000) * budget.restoreRate;
+  return Math.min(budget.maximumAvailable, budget.currentlyAvailable + restored);
+}
 
-  const res = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": SHOPIFY_ADMIN_ACCESS_TOKEN,
-    },
-    body: JSON.stringify({ query, variables }),
+function updateBudget(cost) {
+  const status = cost?.throttleStatus;
+  if (!status) return;
+  budget.maximumAvailable = status.maximumAvailable;
+  budget.currentlyAvailable = status.currentlyAvailable;
+  budget.restoreRate = status.restoreRate;
+  budget.at = Date.now();
+}
+
+// Waits until the bucket can pay for this query, then spends it up front
+function reserveBudget(query) {
+  const needed = Math.min(queryCosts.get(query) ?? DEFAULT_QUERY_COST, budget.maximumAvailable);
+
+  const turn = queue.then(async () => {
+    const missing = needed - availableNow();
+    if (missing > 0) {
+      const waitMs = Math.ceil((missing / budget.restoreRate) * 1000);
+      logger.info({ event: "shopify_budget_wait", waitMs, needed, available: Math.floor(availableNow()) });
+      await sleep(waitMs);
+    }
+    budget.currentlyAvailable = availableNow() - needed;
+    budget.at = Date.now();
   });
 
+  queue = turn.catch(() => {});
+  return turn;
+}
+
+function backoffMs(attempt) {
+  const exp = BACKOFF_BASE_MS * 2 ** attempt;
+  return exp + Math.floor(Math.random() * exp * 0.25); // jitter
+}
+
+// kind: network | timeout | http | throttled | graphql (metrics label)
+class ShopifyError extends Error {
+  constructor(message, kind) {
+    super(message);
+    this.kind = kind;
+  }
+}
+
+// Error we should try again: network / timeout / 429 / 5xx / THROTTLED
+class RetryableShopifyError extends ShopifyError {
+  constructor(message, kind, waitMs) {
+    super(message, kind);
+    this.waitMs = waitMs;
+  }
+}
+
+// Readiness: how many shopifyGraphQL calls in a row failed (after retries)
+let consecutiveFailures = 0;
+let lastFailureAt = null;
+
+function shopifyHealth() {
+  return { consecutiveFailures, lastFailureAt };
+}
+
+async function sendOnce(url, query, variables) {
+  let res;
+  try {
+    res = await (transport || fetch)(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Shopify-Access-Token": SHOPIFY_ADMIN_ACCESS_TOKEN,
+      },
+      body: JSON.stringify({ query, variables }),
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+  } catch (err) {
+    const timedOut = err?.name === "TimeoutError";
+    const reason = timedOut ? `timed out after ${TIMEOUT_MS}ms` : err?.message || String(err);
+    throw new RetryableShopifyError(`Shopify request failed: ${reason}`, timedOut ? "timeout" : "network");
+  }
+
+  if (res.status === 429 || res.status >= 500) {
+    const retryAfter = Number(res.headers.get("retry-after"));
+    throw new RetryableShopifyError(
+      `Shopify HTTP ${res.status}`,
+      "http",
+      Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : undefined
+    );
+  }
+
   const json = await res.json();
+  updateBudget(json.extensions?.cost);
+  if (json.extensions?.cost?.requestedQueryCost != null) {
+    queryCosts.set(query, json.extensions.cost.requestedQueryCost);
+  }
 
   if (!res.ok) {
-    throw new Error(`Shopify HTTP ${res.status}: ${JSON.stringify(json)}`);
+    throw new ShopifyError(`Shopify HTTP ${res.status}: ${JSON.stringify(json)}`, "http");
+  }
+
+  if (json.errors?.some((e) => e.extensions?.code === "THROTTLED")) {
+    // Wait for exactly what the bucket is missing
+    const cost = json.extensions?.cost;
+    const missing = (cost?.requestedQueryCost ?? DEFAULT_QUERY_COST) - availableNow();
+    throw new RetryableShopifyError(
+      "Shopify THROTTLED",
+      "throttled",
+      missing > 0 ? Math.ceil((missing / budget.restoreRate) * 1000) : undefined
+    );
   }
   if (json.errors) {
-    throw new Error(`Shopify GraphQL errors: ${JSON.stringify(json.errors)}`);
+    throw new ShopifyError(`Shopify GraphQL errors: ${JSON.stringify(json.errors)}`, "graphql");
   }
 
   return json.data;
 }
 
+async function shopifyGraphQL(query, variables = {}) {
+  if (!transport) assertEnv();
+
+  const url = `https://${SHOPIFY_STORE_DOMAIN}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`;
+
+  for (let attempt = 0; ; attempt++) {
+    await reserveBudget(query);
+    const endTimer = shopifyRequestDuration.startTimer();
+    try {
+      const data = await sendOnce(url, query, variables);
+      endTimer({ outcome: "ok" });
+      consecutiveFailures = 0;
+      return data;
+    } catch (err) {
+      endTimer({ outcome: "error" });
+      shopifyErrors.inc({ kind: err.kind || "other" });
+
+      if (!(err instanceof RetryableShopifyError) || attempt >= MAX_RETRIES) {
+        consecutiveFailures += 1;
+        lastFailureAt = new Date().toISOString();
+        throw err;
+      }
+
+      const waitMs = Math.max(err.waitMs ?? 0, backoffMs(attempt));
+      logger.warn({ event: "shopify_retry", attempt: attempt + 1, waitMs, error: err.message });
+      await sleep(waitMs);
+    }
+  }
+}
+
+// Shopify rejects any single query whose requested cost is over 1,000 points, and nested
+// connections multiply (orders × line items). Small pages keep OrdersByEmail near 600;
+// bigger orders page the rest of their line items through getRemainingLineItems.
+const ORDERS_PAGE_SIZE = 5;
+const LINE_ITEMS_PAGE_SIZE = 25;
+const MAX_ORDER_PAGES = 400; // safety stop: 2,000 orders per email
+
+const LINE_ITEM_FIELDS = `
+  id
+  title
+  quantity
+  sku
+  product {
+    id
+  }
+  variant {
+    id
+  }
+  sellingPlan {
+    name
+  }
+`;
+
+// When the money actually landed: newest successful sale/capture, else order processedAt
+function orderPaidAt(order) {
+  const paid = (order.transactions || [])
+    .filter((t) => t.status === "SUCCESS" && (t.kind === "SALE" || t.kind === "CAPTURE"))
+    .map((t) => t.processedAt)
+    .filter(Boolean)
+    .sort();
+  return paid.length ? paid[paid.length - 1] : order.processedAt || null;
+}
+
+// Orders with more than one page of line items: fetch the rest
+async function getRemainingLineItems(orderId, after) {
+  const query = `
+    query OrderLineItems($id: ID!, $first: Int!, $after: String) {
+      order(id: $id) {
+        lineItems(first: $first, after: $after) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            ${LINE_ITEM_FIELDS}
+          }
+        }
+      }
+    }
+  `;
+
+  const nodes = [];
+  let cursor = after;
+  for (;;) {
+    const data = await shopifyGraphQL(query, { id: orderId, first: LINE_ITEMS_PAGE_SIZE, after: cursor });
+    const conn = data?.order?.lineItems;
+    if (!conn) break;
+    nodes.push(...conn.nodes);
+    if (!conn.pageInfo.hasNextPage) break;
+    cursor = conn.pageInfo.endCursor;
+  }
+  return nodes;
+}
+
+/* =======================
+   ORDER LOOKUP CACHE
+======================= */
+// A verify + the /status or sync right after it shouldn't page through the same orders twice.
+const ORDER_CACHE_TTL_SECONDS = Number(process.env.SHOPIFY_ORDER_CACHE_TTL_SECONDS ?? "60");
+const ORDER_CACHE_MAX = 500;
+
+const orderCache = new Map(); // email -> { at, promise }
+
+function invalidateOrderCache(email) {
+  if (email) orderCache.delete(email);
+  else orderCache.clear();
+}
+
 /**
- * Returns paid line items with subscription info.
- * Each item: { title, isSubscription, sellingPlanName }
+ * Every line item of an email's orders (see fetchOrderLineItemsByEmail), cached for a short TTL.
+ * Concurrent lookups for one email share one request.
+ * fresh: true skips the cache.
  */
-async function getPaidLineItemsByEmail(email) {
-  const q = `email:${email} financial_status:paid`;
+function getOrderLineItemsByEmail(email, { fresh = false } = {}) {
+  const now = Date.now();
+  const hit = orderCache.get(email);
+  if (!fresh && hit && now - hit.at < ORDER_CACHE_TTL_SECONDS * 1000) return hit.promise;
+
+  const promise = fetchOrderLineItemsByEmail(email);
+  orderCache.set(email, { at: now, promise });
+  promise.catch(() => {
+    if (orderCache.get(email)?.promise === promise) orderCache.delete(email);
+  });
+
+  if (orderCache.size > ORDER_CACHE_MAX) {
+    for (const [key, entry] of orderCache) {
+      if (now - entry.at >= ORDER_CACHE_TTL_SECONDS * 1000 || orderCache.size > ORDER_CACHE_MAX) orderCache.delete(key);
+    }
+  }
+  return promise;
+}
+
+// Only line items still backed by a valid payment (what grants a tier)
+async function getPaidLineItemsByEmail(email, options) {
+  const items = await getOrderLineItemsByEmail(email, options);
+  return items.filter((i) => !i.revokedReason);
+}
+
+// Order-level reason its items no longer count as paid (null = still good)
+function orderRevokedReason(order) {
+  if (order.cancelledAt) return "cancelled";
+  if ((order.disputes || []).some((d) => d.status !== "WON")) return "chargeback";
+  if (order.displayFinancialStatus === "REFUNDED") return "refunded";
+  if (order.displayFinancialStatus === "VOIDED") return "voided";
+  return null;
+}
+
+const REFUNDS_PAGE_SIZE = 10;
+const REFUND_LINE_ITEMS_PAGE_SIZE = 25;
+
+const REFUND_LINE_ITEMS = `
+  refundLineItems(first: $first, after: $after) {
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+    nodes {
+      quantity
+      lineItem {
+        id
+      }
+    }
+  }
+`;
+
+// lineItemId -> refunded quantity.
+// Own queries, only for PARTIALLY_REFUNDED orders: nesting refunds in the order page costs too much.
+async function getRefundedQuantities(orderId) {
+  const refundsQuery = `
+    query OrderRefunds($id: ID!, $refunds: Int!, $first: Int!, $after: String) {
+      order(id: $id) {
+        refunds(first: $refunds) {
+          id
+          ${REFUND_LINE_ITEMS}
+        }
+      }
+    }
+  `;
+  const moreQuery = `
+    query RefundLineItems($id: ID!, $first: Int!, $after: String) {
+      refund(id: $id) {
+        ${REFUND_LINE_ITEMS}
+      }
+    }
+  `;
+
+  const data = await shopifyGraphQL(refundsQuery, {
+    id: orderId,
+    refunds: REFUNDS_PAGE_SIZE,
+    first: REFUND_LINE_ITEMS_PAGE_SIZE,
+    after: null,
+  });
+
+  const qty = new Map();
+  for (const refund of data?.order?.refunds || []) {
+    let conn = refund.refundLineItems;
+    for (;;) {
+      for (const rli of conn?.nodes || []) {
+        const id = rli.lineItem?.id;
+        if (id) qty.set(id, (qty.get(id) || 0) + (rli.quantity || 0));
+      }
+      if (!conn?.pageInfo?.hasNextPage) break;
+      const more = await shopifyGraphQL(moreQuery, { id: refund.id, first: REFUND_LINE_ITEMS_PAGE_SIZE, after: conn.pageInfo.endCursor });
+      conn = more?.refund?.refundLineItems;
+    }
+  }
+  return qty;
+}
+
+// Orders that were paid at some point, including ones since refunded/voided.
+// Pending / authorized-only orders never granted anything and are left out.
+const GRANTING_FINANCIAL_STATUSES = new Set(["PAID", "PARTIALLY_REFUNDED", "REFUNDED", "VOIDED"]);
+
+// Shopify search filter for one email, quoted so the value can't add OR / other filter terms
+function emailSearch(email) {
+  return `email:"${String(email).replace(/["\\]/g, "\\$&")}"`;
+}
+
+/**
+ * Returns the line items of every order for this email that was paid at some point (newest first).
+ * Each item: { orderId, orderName, lineItemId, title, productId, variantId, sku,
+ *              quantity, isSubscription, sellingPlanName, paidAt, revokedReason }
+ * revokedReason: null while paid, else refunded | voided | cancelled | chargeback.
+ */
+async function fetchOrderLineItemsByEmail(email) {
+  const q = emailSearch(email);
 
   const query = `
-    query OrdersByEmail($first: Int!, $query: String!) {
-      orders(first: $first, query: $query, reverse: true) {
+    query OrdersByEmail($first: Int!, $query: String!, $after: String) {
+      orders(first: $first, after: $after, query: $query, reverse: true) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
         nodes {
           id
+          name
           createdAt
+          processedAt
           displayFinancialStatus
-          lineItems(first: 50) {
+          cancelledAt
+          transactions(first: 10) {
+            kind
+            status
+            processedAt
+          }
+          disputes {
+            status
+          }
+          lineItems(first: ${LINE_ITEMS_PAGE_SIZE}) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
             nodes {
-              title
-              sellingPlan {
-                name
-              }
+              ${LINE_ITEM_FIELDS}
             }
           }
         }
@@ -67,27 +435,228 @@ async function getPaidLineItemsByEmail(email) {
     }
   `;
 
-  const data = await shopifyGraphQL(query, { first: 10, query: q });
-  const orders = data?.orders?.nodes ?? [];
+  const orders = [];
+  let after = null;
+  for (let page = 0; page < MAX_ORDER_PAGES; page++) {
+    const data = await shopifyGraphQL(query, { first: ORDERS_PAGE_SIZE, query: q, after });
+    const conn = data?.orders;
+    if (!conn) break;
+    orders.push(...conn.nodes);
+    if (!conn.pageInfo.hasNextPage) break;
+    after = conn.pageInfo.endCursor;
+  }
 
   const items = [];
   for (const order of orders) {
-    for (const li of order.lineItems.nodes) {
+    if (!GRANTING_FINANCIAL_STATUSES.has(order.displayFinancialStatus)) continue;
+
+    const paidAt = orderPaidAt(order);
+    const orderRevoked = orderRevokedReason(order);
+    const refunded = !orderRevoked && order.displayFinancialStatus === "PARTIALLY_REFUNDED"
+      ? await getRefundedQuantities(order.id)
+      : new Map();
+    const lineItems = [...order.lineItems.nodes];
+    if (order.lineItems.pageInfo.hasNextPage) {
+      lineItems.push(...(await getRemainingLineItems(order.id, order.lineItems.pageInfo.endCursor)));
+    }
+
+    for (const li of lineItems) {
       const planName = li?.sellingPlan?.name || null;
       items.push({
+        orderId: order.id,
+        orderName: order.name,
+        lineItemId: li.id,
         title: li.title,
+        productId: li.product?.id || null,
+        variantId: li.variant?.id || null,
+        sku: li.sku || null,
+        quantity: li.quantity,
         isSubscription: !!planName,
         sellingPlanName: planName,
+        paidAt,
+        revokedReason: orderRevoked || (refunded.get(li.id) >= li.quantity ? "refunded" : null),
       });
     }
   }
   return items;
 }
 
+function toGid(type, id) {
+  const s = String(id || "");
+  return s.startsWith("gid://") ? s : `gid://shopify/${type}/${s}`;
+}
+
+/**
+ * Returns the email on an order (used by refund webhooks, which only carry order_id).
+ */
+async function getOrderEmailById(orderId) {
+  const query = `
+    query OrderEmail($id: ID!) {
+      order(id: $id) {
+        email
+        customer {
+          email
+        }
+      }
+    }
+  `;
+
+  const data = await shopifyGraphQL(query, { id: toGid("Order", orderId) });
+  return data?.order?.email || data?.order?.customer?.email || null;
+}
+
+// Only the email per order: 250 of them cost about 250 points
+const UPDATED_ORDERS_PAGE_SIZE = 250;
+
+/**
+ * Emails on every order changed since `sinceIso` (refunds, cancellations and disputes all touch the
+ * order's updated_at), so the daily payment check only re-reads customers whose orders changed.
+ * Returns a Set of lower-cased emails.
+ */
+async function getEmailsWithOrdersUpdatedSince(sinceIso) {
+  const query = `
+    query OrdersUpdatedSince($first: Int!, $query: String!, $after: String) {
+      orders(first: $first, after: $after, query: $query, sortKey: UPDATED_AT) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          email
+        }
+      }
+    }
+  `;
+
+  const q = `updated_at:>'${new Date(sinceIso).toISOString()}'`;
+  const emails = new Set();
+  let after = null;
+  for (let page = 0; page < MAX_ORDER_PAGES; page++) {
+    const data = await shopifyGraphQL(query, { first: UPDATED_ORDERS_PAGE_SIZE, query: q, after });
+    const conn = data?.orders;
+    if (!conn) break;
+    for (const order of conn.nodes) {
+      if (order.email) emails.add(order.email.trim().toLowerCase());
+    }
+    if (!conn.pageInfo.hasNextPage) break;
+    after = conn.pageInfo.endCursor;
+  }
+  return emails;
+}
+
+/**
+ * Returns a customer's email (used by subscription contract webhooks).
+ */
+async function getCustomerEmailById(customerId) {
+  const query = `
+    query CustomerEmail($id: ID!) {
+      customer(id: $id) {
+        email
+      }
+    }
+  `;
+
+  const data = await shopifyGraphQL(query, { id: toGid("Customer", customerId) });
+  return data?.customer?.email || null;
+}
+
+const CONTRACT_FIELDS = `
+  id
+  status
+  nextBillingDate
+  lastPaymentStatus
+  createdAt
+  updatedAt
+  lines(first: 10) {
+    nodes {
+      productId
+      variantId
+      title
+      sellingPlanName
+    }
+  }
+`;
+
+function toContract(node) {
+  if (!node) return null;
+  return {
+    id: node.id,
+    status: node.status, // ACTIVE | PAUSED | CANCELLED | EXPIRED | FAILED
+    nextBillingDate: node.nextBillingDate || null,
+    lastPaymentStatus: node.lastPaymentStatus || null, // SUCCEEDED | FAILED | null
+    createdAt: node.createdAt,
+    updatedAt: node.updatedAt,
+    lines: (node.lines?.nodes || []).map((l) => ({
+      productId: l.productId || null,
+      variantId: l.variantId || null,
+      title: l.title,
+      sellingPlanName: l.sellingPlanName || null,
+    })),
+  };
+}
+
+/**
+ * Returns the newest subscription contracts for the customer(s) with this email (newest first).
+ * Kept to 10 per customer so the nested query stays under Shopify's cost limit.
+ * Each contract: { id, status, nextBillingDate, lastPaymentStatus, createdAt, updatedAt, lines }
+ */
+async function getSubscriptionContractsByEmail(email) {
+  const query = `
+    query ContractsByEmail($query: String!) {
+      customers(first: 2, query: $query) {
+        nodes {
+          subscriptionContracts(first: 10, reverse: true) {
+            nodes {
+              ${CONTRACT_FIELDS}
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await shopifyGraphQL(query, { query: emailSearch(email) });
+  const contracts = [];
+  for (const customer of data?.customers?.nodes ?? []) {
+    for (const node of customer.subscriptionContracts?.nodes ?? []) {
+      contracts.push(toContract(node));
+    }
+  }
+  return contracts.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Returns one subscription contract by ID (null if Shopify doesn't know it).
+ */
+async function getSubscriptionContractById(contractId) {
+  const query = `
+    query ContractById($id: ID!) {
+      subscriptionContract(id: $id) {
+        ${CONTRACT_FIELDS}
+      }
+    }
+  `;
+
+  const data = await shopifyGraphQL(query, { id: toGid("SubscriptionContract", contractId) });
+  return toContract(data?.subscriptionContract);
+}
+
 // Backward compatible: your bot still uses this
 async function getPaidProductTitlesByEmail(email) {
   const items = await getPaidLineItemsByEmail(email);
   return items.map((x) => x.title);
 }
 
-module.exports = { getPaidProductTitlesByEmail, getPaidLineItemsByEmail };
+module.exports = {
+  getPaidProductTitlesByEmail,
+  getPaidLineItemsByEmail,
+  getOrderLineItemsByEmail,
+  invalidateOrderCache,
+  shopifyHealth,
+  getOrderEmailById,
+  getEmailsWithOrdersUpdatedSince,
+  getCustomerEmailById,
+  getSubscriptionContractsByEmail,
+  getSubscriptionContractById,
+  setShopifyTransport,
+};
@@ -0,0 +1,575 @@
+// storage.js
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+const logger = require("./logger");
+const { createEmailProtector, isEmailRef } = require("./email-crypto");
+const { emailFingerprint } = require("./retention");
+
+/*
+  Email ↔ Discord link repository (SQLite).
+
+  Records are scoped per guild (repo.forGuild). Every record looks like the old
+  email-map.json values plus its email:
+  { email, discordUserId, userTag, tier, isSubscription, lastPaidAt, updatedAt, ... }
+
+  Columns we query on are stored as real columns; the whole record is kept in
+  `data` (JSON) so new record fields don't need a schema change.
+
+  Emails at rest: with a hashing protector (email-crypto.js) the `email` columns hold
+  "hmac:…" keys and the address is only kept encrypted in `email_enc` (if enabled).
+  Callers keep passing plain emails; records come back with the decrypted email, or the
+  key when it can't be decrypted. Existing plaintext rows are converted on first start.
+*/
+
+// Append only: each entry upgrades the schema by one PRAGMA user_version
+const MIGRATIONS = [
+  (db) => db.exec(`
+    CREATE TABLE email_links (
+      email           TEXT PRIMARY KEY,
+      discord_user_id TEXT,
+      is_subscription INTEGER NOT NULL DEFAULT 0,
+      last_paid_at    TEXT,
+      updated_at      TEXT,
+      data            TEXT NOT NULL
+    );
+    CREATE INDEX idx_email_links_user ON email_links (discord_user_id);
+    CREATE INDEX idx_email_links_paid ON email_links (is_subscription, last_paid_at);
+
+    CREATE TABLE meta (
+      key   TEXT PRIMARY KEY,
+      value TEXT
+    );
+  `),
+
+  // Access history ledger: rows are only ever inserted
+  (db) => db.exec(`
+    CREATE TABLE access_events (
+      id              INTEGER PRIMARY KEY AUTOINCREMENT,
+      at              TEXT NOT NULL,
+      action          TEXT NOT NULL,
+      email           TEXT,
+      discord_user_id TEXT,
+      actor           TEXT NOT NULL,
+      actor_tag       TEXT,
+      before_tier     TEXT,
+      after_tier      TEXT,
+      reason          TEXT,
+      details         TEXT
+    );
+    CREATE INDEX idx_access_events_email ON access_events (email, id);
+    CREATE INDEX idx_access_events_user ON access_events (discord_user_id, id);
+  `),
+
+  // Multi-guild: every link and event belongs to a guild ('' = not yet adopted)
+  (db) => db.exec(`
+    CREATE TABLE email_links_v3 (
+      guild_id        TEXT NOT NULL DEFAULT '',
+      email           TEXT NOT NULL,
+      discord_user_id TEXT,
+      is_subscription INTEGER NOT NULL DEFAULT 0,
+      last_paid_at    TEXT,
+      updated_at      TEXT,
+      data            TEXT NOT NULL,
+      PRIMARY KEY (guild_id, email)
+    );
+    INSERT INTO email_links_v3 (guild_id, email, discord_user_id, is_subscription, last_paid_at, updated_at, data)
+      SELECT '', email, discord_user_id, is_subscription, last_paid_at, updated_at, data FROM email_links;
+    DROP TABLE email_links;
+    ALTER TABLE email_links_v3 RENAME TO email_links;
+    CREATE INDEX idx_email_links_user ON email_links (guild_id, discord_user_id);
+    CREATE INDEX idx_email_links_paid ON email_links (guild_id, is_subscription, last_paid_at);
+
+    ALTER TABLE access_events ADD COLUMN guild_id TEXT NOT NULL DEFAULT '';
+    DROP INDEX idx_access_events_email;
+    DROP INDEX idx_access_events_user;
+    CREATE INDEX idx_access_events_email ON access_events (guild_id, email, id);
+    CREATE INDEX idx_access_events_user ON access_events (guild_id, discord_user_id, id);
+  `),
+
+  // Emails at rest: the encrypted address next to the (hashed) key
+  (db) => db.exec(`
+    ALTER TABLE email_links ADD COLUMN email_enc TEXT;
+    ALTER TABLE access_events ADD COLUMN email_enc TEXT;
+  `),
+];
+
+function ensureDirForFile(filePath) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+function migrate(db) {
+  const current = db.pragma("user_version", { simple: true });
+  for (let v = current; v < MIGRATIONS.length; v++) {
+    db.transaction(() => {
+      MIGRATIONS[v](db);
+      db.pragma(`user_version = ${v + 1}`);
+    })();
+    logger.info({ event: "storage_migrated", version: v + 1 });
+  }
+}
+
+// Only valid dates go in the indexed column; the raw value stays in `data`
+function isoOrNull(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+// The address when we can decrypt it, else whatever the row is keyed by
+const emailOf = (row, protector) => protector.decrypt(row.email_enc) ?? row.email;
+
+function rowToRecord(row, protector) {
+  if (!row) return null;
+  return { ...JSON.parse(row.data), email: emailOf(row, protector) };
+}
+
+function rowToEvent(row, protector) {
+  return {
+    id: row.id,
+    at: row.at,
+    action: row.action,
+    email: row.email == null ? null : emailOf(row, protector),
+    discordUserId: row.discord_user_id,
+    actor: row.actor,
+    actorTag: row.actor_tag,
+    beforeTier: row.before_tier,
+    afterTier: row.after_tier,
+    reason: row.reason,
+    details: row.details ? JSON.parse(row.details) : null,
+  };
+}
+
+/**
+ * Emails at rest: the database remembers which hash key it was converted with, so a wrong or
+ * missing EMAIL_HASH_KEY stops the bot instead of silently "losing" every record.
+ * First start with a key converts plaintext rows (and the email-map.json, if any).
+ */
+function protectEmails(db, protector, importJsonPath) {
+  const stored = db.prepare("SELECT value FROM meta WHERE key = 'email_hash_key_id'").get()?.value ?? null;
+
+  if (!protector.hashing) {
+    if (stored) throw new Error("This database stores hashed emails: set EMAIL_HASH_KEY (the key it was hashed with).");
+    logger.warn({
+      event: "storage_plaintext_emails",
+      message: "EMAIL_HASH_KEY is not set; emails are stored in plaintext. Generate keys with `node email-keys.js generate`.",
+    });
+    return;
+  }
+  if (stored && stored !== protector.hashKeyId) {
+    throw new Error("EMAIL_HASH_KEY doesn't match the key this database was hashed with. Changing keys: `node email-keys.js rotate`.");
+  }
+  if (stored) return;
+
+  const links = db.prepare("SELECT rowid, email FROM email_links WHERE email NOT LIKE 'hmac:%'").all();
+  const events = db.prepare("SELECT id, email FROM access_events WHERE email IS NOT NULL AND email NOT LIKE 'hmac:%' AND email NOT LIKE 'email:%'").all();
+  const setLink = db.prepare("UPDATE email_links SET email = ?, email_enc = ? WHERE rowid = ?");
+  const setEvent = db.prepare("UPDATE access_events SET email = ?, email_enc = ? WHERE id = ?");
+
+  db.transaction(() => {
+    for (const row of links) setLink.run(protector.keyFor(row.email), protector.encrypt(row.email), row.rowid);
+    for (const row of events) setEvent.run(protector.keyFor(row.email), protector.encrypt(row.email), row.id);
+    db.prepare("INSERT INTO meta (key, value) VALUES ('email_hash_key_id', ?)").run(protector.hashKeyId);
+  })();
+
+  db.pragma("wal_checkpoint(TRUNCATE)");
+  if (importJsonPath && fs.existsSync(importJsonPath)) protectJsonMap(importJsonPath, protector);
+
+  logger.info({
+    event: "storage_emails_protected",
+    links: links.length,
+    events: events.length,
+    encrypted: protector.encrypting,
+  });
+}
+
+/**
+ * Reconcile / rejoin / left events used to list the member's emails in `details` as addresses,
+ * out of reach of the hashing and encryption above. Rewritten once to fingerprints, the same
+ * values index.js writes now.
+ */
+function fingerprintDetailEmails(db, fingerprint) {
+  if (db.prepare("SELECT value FROM meta WHERE key = 'details_emails_fingerprinted'").get()) return;
+
+  const rows = db.prepare(`SELECT id, details FROM access_events WHERE details LIKE '%"emails"%'`).all();
+  const setDetails = db.prepare("UPDATE access_events SET details = ? WHERE id = ?");
+
+  let rewritten = 0;
+  db.transaction(() => {
+    for (const row of rows) {
+      const details = JSON.parse(row.details);
+      if (!Array.isArray(details?.emails)) continue;
+      const emails = details.emails.map((email) => (String(email).startsWith("email:") ? email : fingerprint(email)));
+      setDetails.run(JSON.stringify({ ...details, emails }), row.id);
+      rewritten++;
+    }
+    db.prepare("INSERT INTO meta (key, value) VALUES ('details_emails_fingerprinted', ?)").run(new Date().toISOString());
+  })();
+
+  if (!rewritten) return;
+  db.pragma("wal_checkpoint(TRUNCATE)"); // the old pages are gone from the WAL too
+  logger.info({ event: "storage_details_fingerprinted", events: rewritten });
+}
+
+/**
+ * Opens (or creates) the SQLite database and returns the repository.
+ * Records are scoped per guild: use repo.forGuild(guildId) for reads and writes.
+ * Rows from before guild scoping (and the one-time importJsonPath import) belong to legacyGuildId.
+ * protector: emails at rest (email-crypto.js); default keeps plaintext.
+ */
+function createSqliteRepository({ dbPath, importJsonPath, legacyGuildId, protector = createEmailProtector() }) {
+  ensureDirForFile(dbPath);
+
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+  // Overwrite deleted and rewritten content, so no old address lingers in free space
+  db.pragma("secure_delete = ON");
+  migrate(db);
+  protectEmails(db, protector, importJsonPath);
+
+  const stmts = {
+    getByEmail: db.prepare("SELECT * FROM email_links WHERE guild_id = ? AND email = ?"),
+    getByUser: db.prepare("SELECT * FROM email_links WHERE guild_id = ? AND discord_user_id = ? ORDER BY updated_at DESC"),
+    upsert: db.prepare(`
+      INSERT INTO email_links (guild_id, email, email_enc, discord_user_id, is_subscription, last_paid_at, updated_at, data)
+      VALUES (@guildId, @email, @emailEnc, @discordUserId, @isSubscription, @lastPaidAt, @updatedAt, @data)
+      ON CONFLICT (guild_id, email) DO UPDATE SET
+        email_enc       = COALESCE(excluded.email_enc, email_links.email_enc),
+        discord_user_id = excluded.discord_user_id,
+        is_subscription = excluded.is_subscription,
+        last_paid_at    = excluded.last_paid_at,
+        updated_at      = excluded.updated_at,
+        data            = excluded.data
+    `),
+    delete: db.prepare("DELETE FROM email_links WHERE guild_id = ? AND email = ?"),
+    listAll: db.prepare("SELECT * FROM email_links WHERE guild_id = ? ORDER BY email"),
+    listOverdue: db.prepare(`
+      SELECT * FROM email_links
+      WHERE guild_id = ? AND is_subscription = 1 AND last_paid_at IS NOT NULL AND last_paid_at <= ?
+      ORDER BY last_paid_at
+    `),
+    listSubscriptions: db.prepare(`
+      SELECT * FROM email_links
+      WHERE guild_id = ? AND is_subscription = 1
+      ORDER BY email
+    `),
+    listMissingLastPaid: db.prepare(`
+      SELECT * FROM email_links
+      WHERE guild_id = ? AND is_subscription = 1 AND last_paid_at IS NULL
+      ORDER BY email
+    `),
+    count: db.prepare("SELECT COUNT(*) AS n FROM email_links"),
+    adoptLinks: db.prepare("UPDATE email_links SET guild_id = ? WHERE guild_id = ''"),
+    adoptEvents: db.prepare("UPDATE access_events SET guild_id = ? WHERE guild_id = ''"),
+    getMeta: db.prepare("SELECT value FROM meta WHERE key = ?"),
+    setMeta: db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value"),
+    appendEvent: db.prepare(`
+      INSERT INTO access_events (guild_id, at, action, email, email_enc, discord_user_id, actor, actor_tag, before_tier, after_tier, reason, details)
+      VALUES (@guildId, @at, @action, @email, @emailEnc, @discordUserId, @actor, @actorTag, @beforeTier, @afterTier, @reason, @details)
+    `),
+    redactEvents: db.prepare("UPDATE access_events SET email = ?, email_enc = NULL, details = NULL WHERE guild_id = ? AND email = ?"),
+    eventsWithDetail: db.prepare("SELECT id, details FROM access_events WHERE guild_id = ? AND instr(details, ?) > 0"),
+    setEventDetails: db.prepare("UPDATE access_events SET details = ? WHERE id = ?"),
+    userEventEmails: db.prepare(`
+      SELECT DISTINCT email, email_enc FROM access_events
+      WHERE guild_id = ? AND discord_user_id = ? AND email IS NOT NULL AND email NOT LIKE 'email:%'
+    `),
+    listEvents: db.prepare(`
+      SELECT * FROM access_events
+      WHERE guild_id = @guildId
+        AND (@email IS NULL OR email = @email)
+        AND (@discordUserId IS NULL OR discord_user_id = @discordUserId)
+      ORDER BY id DESC
+      LIMIT @limit
+    `),
+  };
+
+  const transaction = (fn) => db.transaction(fn)();
+
+  // Plain emails in, stored keys out. Fingerprints ("email:…", see retention.js) are stored as is.
+  const isFingerprint = (email) => String(email).startsWith("email:");
+  const keyOf = (email) => (email == null || isFingerprint(email) ? email : protector.keyFor(email));
+  const encOf = (email) => (email == null || isFingerprint(email) ? null : protector.encrypt(email));
+  const toRecord = (row) => rowToRecord(row, protector);
+
+  // Deletion fingerprints: keyed by the hash key, else by a random secret kept in this database
+  let fingerprintKey = protector.fingerprintKey;
+  if (!fingerprintKey) {
+    fingerprintKey = stmts.getMeta.get("fingerprint_key")?.value;
+    if (!fingerprintKey) {
+      fingerprintKey = crypto.randomBytes(32).toString("hex");
+      stmts.setMeta.run("fingerprint_key", fingerprintKey);
+    }
+  }
+  // Taken from the stored key, so a record that only holds "hmac:…" gets the same fingerprint
+  // as the customer's address does when support looks it up
+  const fingerprintOf = (email) => emailFingerprint(keyOf(email), fingerprintKey);
+
+  /** Repository for one guild's links and history. */
+  function forGuild(guildId) {
+    const gid = String(guildId ?? "");
+
+    const guildRepo = {
+      guildId: gid,
+
+      /** Record for one email, or null. */
+      getByEmail(email) {
+        return toRecord(stmts.getByEmail.get(gid, keyOf(email)));
+      },
+
+      /** Every record linked to a Discord user (newest first). */
+      getByDiscordUser(discordUserId) {
+        return stmts.getByUser.all(gid, discordUserId).map(toRecord);
+      },
+
+      /** Insert or replace the record for an email (or a stored key, for records we can't decrypt). */
+      upsert(email, record) {
+        const { email: _ignored, ...rest } = record;
+        stmts.upsert.run({
+          guildId: gid,
+          email: keyOf(email),
+          emailEnc: encOf(email),
+          discordUserId: rest.discordUserId ?? null,
+          isSubscription: rest.isSubscription === true ? 1 : 0,
+          lastPaidAt: isoOrNull(rest.lastPaidAt),
+          updatedAt: rest.updatedAt ?? new Date().toISOString(),
+          data: JSON.stringify(rest),
+        });
+        return { ...rest, email };
+      },
+
+      /** Returns true if a record was removed. */
+      delete(email) {
+        return stmts.delete.run(gid, keyOf(email)).changes > 0;
+      },
+
+      listAll() {
+        return stmts.listAll.all(gid).map(toRecord);
+      },
+
+      /** Every subscription record. */
+      listSubscriptions() {
+        return stmts.listSubscriptions.all(gid).map(toRecord);
+      },
+
+      /** Subscription records whose lastPaidAt is on or before cutoffIso. */
+      listOverdue(cutoffIso) {
+        return stmts.listOverdue.all(gid, cutoffIso).map(toRecord);
+      },
+
+      /** Subscription records without a usable lastPaidAt (missing or unparseable). */
+      listMissingLastPaid() {
+        return stmts.listMissingLastPaid.all(gid).map(toRecord);
+      },
+
+      /**
+       * Appends one access history event (the ledger has no update/delete on purpose; see forgetEmail).
+       * event: { action, email, discordUserId, actor, actorTag, beforeTier, afterTier, reason, details }
+       */
+      appendEvent(event) {
+        stmts.appendEvent.run({
+          guildId: gid,
+          at: event.at ?? new Date().toISOString(),
+          action: event.action,
+          email: keyOf(event.email ?? null),
+          emailEnc: encOf(event.email ?? null),
+          discordUserId: event.discordUserId ?? null,
+          actor: event.actor ?? "system",
+          actorTag: event.actorTag ?? null,
+          beforeTier: event.beforeTier ?? null,
+          afterTier: event.afterTier ?? null,
+          reason: event.reason ?? null,
+          details: event.details ? JSON.stringify(event.details) : null,
+        });
+      },
+
+      /**
+       * Erasure: deletes the record and rewrites the email on its history as `redactedAs`
+       * (details dropped too). Other events that mention the address or its key in their
+       * details (another member's reconcile, older rows) get it replaced by `redactedAs`.
+       * The only changes ever made to past events. Returns true if a record was removed.
+       */
+      forgetEmail(email, redactedAs) {
+        return transaction(() => {
+          const key = keyOf(email);
+          stmts.redactEvents.run(redactedAs, gid, key);
+
+          const needles = [...new Set([key, isEmailRef(email) ? null : String(email).trim().toLowerCase()])].filter(Boolean);
+          for (const needle of needles) {
+            for (const row of stmts.eventsWithDetail.all(gid, needle)) {
+              stmts.setEventDetails.run(row.details.split(needle).join(redactedAs), row.id);
+            }
+          }
+
+          return stmts.delete.run(gid, key).changes > 0;
+        });
+      },
+
+      /**
+       * Erasure of everything left in a member's history once their records are gone
+       * (e.g. emails they unlinked before asking): each email is redacted like forgetEmail,
+       * as its fingerprint. Returns those fingerprints.
+       */
+      forgetDiscordUser(discordUserId) {
+        return transaction(() => {
+          const fingerprints = new Set();
+          for (const row of stmts.userEventEmails.all(gid, discordUserId)) {
+            const email = emailOf(row, protector);
+            const fingerprint = fingerprintOf(email);
+            guildRepo.forgetEmail(email, fingerprint);
+            fingerprints.add(fingerprint);
+          }
+          return [...fingerprints];
+        });
+      },
+
+      /** Small per-guild bookkeeping values (e.g. when a job last ran), or null. */
+      getSetting(name) {
+        return stmts.getMeta.get(`guild:${gid}:${name}`)?.value ?? null;
+      },
+
+      setSetting(name, value) {
+        stmts.setMeta.run(`guild:${gid}:${name}`, String(value));
+      },
+
+      /** Events for an email and/or Discord user, newest first. limit: null = all. */
+      listEvents({ email = null, discordUserId = null, limit = null } = {}) {
+        return stmts.listEvents.all({ guildId: gid, email: keyOf(email), discordUserId, limit: limit ?? -1 })
+          .map((row) => rowToEvent(row, protector));
+      },
+
+      transaction,
+    };
+    return guildRepo;
+  }
+
+  fingerprintDetailEmails(db, fingerprintOf);
+
+  const repo = {
+    forGuild,
+
+    /** "email:<12 hex>" for logs and redacted history (see retention.js); an address and its stored key match. */
+    emailFingerprint: fingerprintOf,
+
+    /** Runs fn inside one SQLite transaction (all or nothing). */
+    transaction,
+
+    close() {
+      db.close();
+    },
+  };
+
+  // Rows written before guild scoping belong to the original (single) guild
+  if (legacyGuildId) {
+    const adopted = transaction(() => stmts.adoptLinks.run(legacyGuildId).changes + stmts.adoptEvents.run(legacyGuildId).changes);
+    if (adopted) logger.info({ event: "storage_adopted_legacy_rows", guildId: legacyGuildId, rows: adopted });
+  }
+
+  if (importJsonPath) importJsonMap(stmts, forGuild(legacyGuildId), importJsonPath, protector);
+
+  return repo;
+}
+
+/**
+ * Re-keys every stored email from one protector to another (email-keys.js rotate; run it with
+ * the bot stopped). A new hash key needs the address, so every record must be decryptable with
+ * `from`; otherwise nothing changes. History rows we can't decrypt keep their old key.
+ * Returns { links, events, unreadableEvents }.
+ */
+function rotateEmailKeys({ dbPath, from, to }) {
+  const db = new Database(dbPath);
+  try {
+    db.pragma("secure_delete = ON"); // values under the old keys don't stay in free space
+    migrate(db);
+    const stored = db.prepare("SELECT value FROM meta WHERE key = 'email_hash_key_id'").get()?.value ?? null;
+    if (stored !== from.hashKeyId) throw new Error("The old keys don't match the key this database was hashed with.");
+    if (!to.hashing) throw new Error("Set the new EMAIL_HASH_KEY (turning hashing off isn't supported).");
+
+    const rekey = to.hashKeyId !== from.hashKeyId;
+    const links = db.prepare("SELECT rowid, email, email_enc FROM email_links").all()
+      .map((row) => ({ ...row, plain: from.decrypt(row.email_enc) }));
+    const events = db.prepare("SELECT id, email, email_enc FROM access_events WHERE email LIKE 'hmac:%'").all()
+      .map((row) => ({ ...row, plain: from.decrypt(row.email_enc) }));
+
+    const unreadable = links.filter((row) => !row.plain).length;
+    if (rekey && unreadable) {
+      throw new Error(`${unreadable} record(s) have no address the old EMAIL_ENCRYPTION_KEY can decrypt, so they can't be re-hashed.`);
+    }
+
+    const setLink = db.prepare("UPDATE email_links SET email = ?, email_enc = ? WHERE rowid = ?");
+    const setEvent = db.prepare("UPDATE access_events SET email = ?, email_enc = ? WHERE id = ?");
+    const rewrite = (row) => (row.plain
+      ? [rekey ? to.keyFor(row.plain) : row.email, to.encrypt(row.plain)]
+      : [row.email, row.email_enc]);
+
+    db.transaction(() => {
+      for (const row of links) setLink.run(...rewrite(row), row.rowid);
+      for (const row of events) setEvent.run(...rewrite(row), row.id);
+      db.prepare("UPDATE meta SET value = ? WHERE key = 'email_hash_key_id'").run(to.hashKeyId);
+    })();
+
+    return { links: links.length, events: events.length, unreadableEvents: events.filter((row) => !row.plain).length };
+  } finally {
+    db.close();
+  }
+}
+
+// Rewrites a legacy email-map.json in place: hashed keys, the address encrypted in `emailEnc` (if enabled)
+function protectJsonMap(jsonPath, protector) {
+  try {
+    const map = JSON.parse(fs.readFileSync(jsonPath, "utf8")) || {};
+    const out = {};
+    for (const [email, rec] of Object.entries(map)) {
+      if (isEmailRef(email)) {
+        out[email] = rec;
+        continue;
+      }
+      const emailEnc = protector.encrypt(email);
+      out[protector.keyFor(email)] = { ...rec, ...(emailEnc ? { emailEnc } : {}) };
+    }
+    fs.writeFileSync(`${jsonPath}.tmp`, JSON.stringify(out, null, 2));
+    fs.renameSync(`${jsonPath}.tmp`, jsonPath);
+    logger.info({ event: "storage_email_map_protected", path: jsonPath, records: Object.keys(out).length });
+  } catch (err) {
+    logger.error({ event: "storage_email_map_protect_failed", path: jsonPath, error: err?.message || String(err) });
+  }
+}
+
+// One-time import of the legacy email-map.json (e.g. from the Render disk); keys may be hashed (see protectJsonMap)
+function importJsonMap(stmts, guildRepo, jsonPath, protector) {
+  if (stmts.getMeta.get("email_map_imported_at")) return;
+  if (!fs.existsSync(jsonPath)) return;
+
+  let map;
+  try {
+    map = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+  } catch (err) {
+    // Don't mark as imported: fix the file and the next start retries
+    logger.error({ event: "storage_import_failed", path: jsonPath, error: err?.message || String(err) });
+    return;
+  }
+
+  const entries = Object.entries(map || {});
+  guildRepo.transaction(() => {
+    for (const [key, value] of entries) {
+      const { emailEnc, ...rec } = value || {};
+      const email = protector.decrypt(emailEnc) ?? key;
+      if (!guildRepo.getByEmail(email)) guildRepo.upsert(email, rec);
+    }
+    stmts.setMeta.run("email_map_imported_at", new Date().toISOString());
+  });
+
+  logger.info({
+    event: "storage_imported_json",
+    path: jsonPath,
+    guildId: guildRepo.guildId,
+    records: entries.length,
+    total: stmts.count.get().n,
+  });
+}
+
+module.exports = { createSqliteRepository, rotateEmailKeys };
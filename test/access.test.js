@@ -0,0 +1,240 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { validateTierConfig } = require("../tiers");
+const access = require("../access");
+const rawTiers = require("./fixtures/tiers.json");
+
+const { tiers, baseRole } = validateTierConfig(rawTiers);
+const audit = { graceDays: 35, paymentGraceDays: 7 };
+const now = new Date("2025-06-01T00:00:00Z");
+const daysAgo = (n) => new Date(now.getTime() - n * access.DAY_MS).toISOString();
+
+const eliteItem = { title: "Elite Trader Mentorship", productId: "gid://shopify/Product/111", isSubscription: true, paidAt: daysAgo(3) };
+const proItem = { title: "Pro Trader Course", productId: "gid://shopify/Product/222", isSubscription: false, paidAt: daysAgo(60) };
+const stickerItem = { title: "Sticker Pack", productId: "gid://shopify/Product/999", isSubscription: false, paidAt: daysAgo(1) };
+
+const verify = (overrides) => access.decideVerification({
+  tiers,
+  audit,
+  email: "buyer@example.com",
+  discordUserId: "u1",
+  now,
+  ...overrides,
+});
+
+/* =======================
+   VERIFY DECISIONS
+======================= */
+test("verify: upgrade from a lower tier on another email", () => {
+  const decision = verify({
+    items: [eliteItem],
+    userRecords: [{ email: "old@example.com", discordUserId: "u1", tier: "Pro Member" }],
+  });
+
+  assert.equal(decision.outcome, "granted");
+  assert.equal(decision.tier.role, "Elite Member");
+  assert.equal(decision.beforeRole, "Pro Member");
+  assert.equal(decision.grantedRole, "Elite Member");
+  assert.equal(decision.isSubscription, true);
+  assert.equal(decision.lastPaidAt, eliteItem.paidAt);
+});
+
+test("verify: a higher tier on another linked email is kept", () => {
+  const decision = verify({
+    items: [proItem],
+    userRecords: [{ email: "elite@example.com", discordUserId: "u1", tier: "Elite Member" }],
+  });
+
+  assert.equal(decision.outcome, "granted");
+  assert.equal(decision.tier.role, "Pro Member");
+  assert.equal(decision.grantedRole, "Elite Member");
+  assert.deepEqual(decision.otherRecords.map((r) => r.email), ["elite@example.com"]);
+});
+
+test("verify: re-verifying the same email doesn't count it as another email", () => {
+  const decision = verify({
+    items: [proItem],
+    userRecords: [{ email: "buyer@example.com", discordUserId: "u1", tier: "Elite Member" }],
+  });
+
+  assert.equal(decision.beforeRole, "Elite Member");
+  assert.equal(decision.grantedRole, "Pro Member");
+  assert.deepEqual(decision.otherRecords, []);
+});
+
+test("verify: paid order that matches no tier is a mismatch", () => {
+  const decision = verify({ items: [stickerItem] });
+
+  assert.equal(decision.outcome, "tier_mismatch");
+  assert.deepEqual(decision.titles, ["Sticker Pack"]);
+  assert.equal(decision.tier, null);
+});
+
+test("verify: email linked to another member", () => {
+  const decision = verify({
+    linkedRecord: { email: "buyer@example.com", discordUserId: "someone-else", tier: "Elite Member" },
+    items: [eliteItem],
+  });
+
+  assert.equal(decision.outcome, "linked_elsewhere");
+  assert.equal(access.isLinkedElsewhere({ discordUserId: "u1" }, "u1"), false);
+  assert.equal(access.isLinkedElsewhere(null, "u1"), false);
+});
+
+test("verify: no paid orders, and refunds explain the lost tier", () => {
+  assert.equal(verify({ items: [] }).outcome, "no_paid_orders");
+  assert.equal(verify({ items: [] }).lostToRevocation, false);
+
+  const refunded = verify({ items: [{ ...eliteItem, revokedReason: "refunded" }] });
+  assert.equal(refunded.outcome, "no_paid_orders");
+  assert.equal(refunded.lostToRevocation, true);
+  assert.equal(refunded.revoked.length, 1);
+
+  const partly = verify({ items: [{ ...eliteItem, revokedReason: "chargeback" }, proItem] });
+  assert.equal(partly.outcome, "granted");
+  assert.equal(partly.grantedRole, "Pro Member");
+  assert.equal(partly.lostToRevocation, true);
+});
+
+test("verify: missing paid date still grants, with lastPaidAt null", () => {
+  const decision = verify({ items: [{ ...eliteItem, paidAt: null }] });
+
+  assert.equal(decision.outcome, "granted");
+  assert.equal(decision.lastPaidAt, null);
+});
+
+test("lastPaidAt comes from the items that grant the tier only", () => {
+  const later = { ...stickerItem, paidAt: daysAgo(0) };
+  const { lastPaidAt } = access.resolveAccessFromItems(tiers, [{ ...eliteItem, paidAt: daysAgo(40) }, later]);
+  assert.equal(lastPaidAt, daysAgo(40));
+});
+
+/* =======================
+   AUDIT DECISIONS
+======================= */
+test("audit: subscription overdue past the grace days is downgraded", () => {
+  const decision = access.decidePaidDateAccess(daysAgo(40), now, audit.graceDays);
+  assert.equal(decision.action, "downgrade");
+  assert.equal(decision.reason, "overdue_40d");
+  assert.equal(decision.daysSincePaid, 40);
+
+  assert.equal(access.decidePaidDateAccess(daysAgo(35), now, audit.graceDays).action, "downgrade");
+});
+
+test("audit: recently paid subscription is kept until the grace window ends", () => {
+  const decision = access.decidePaidDateAccess(daysAgo(10), now, audit.graceDays);
+  assert.equal(decision.action, "keep");
+  assert.equal(decision.reason, "paid_recently");
+  assert.equal(decision.accessEndsAt.toISOString(), daysAgo(10 - 35));
+});
+
+test("audit: missing or invalid lastPaidAt is skipped, never downgraded", () => {
+  assert.deepEqual(
+    access.decidePaidDateAccess(null, now, audit.graceDays),
+    { action: "skip", reason: "missing_lastPaidAt", paymentFailedAt: null }
+  );
+  assert.equal(access.decidePaidDateAccess("not a date", now, audit.graceDays).reason, "invalid_lastPaidAt");
+
+  const rec = { tier: "Elite Member", isSubscription: true, lastPaidAt: null };
+  assert.equal(access.decideSubscriptionAccess(rec, null, now, audit).action, "skip");
+  assert.equal(access.recordBacksTier(rec, now, audit), true);
+});
+
+test("audit: contract state wins over paid dates", () => {
+  const rec = { tier: "Elite Member", isSubscription: true, lastPaidAt: daysAgo(90) };
+  const active = { status: "ACTIVE", lastPaymentStatus: "SUCCEEDED" };
+  assert.equal(access.decideSubscriptionAccess(rec, active, now, audit).action, "keep");
+});
+
+test("audit: cancelled contracts keep access through the paid period", () => {
+  const paidThrough = { status: "CANCELLED", nextBillingDate: daysAgo(-5) };
+  assert.equal(access.decideContractAccess(paidThrough, null, now, 7).reason, "contract_cancelled_paid_through");
+
+  const lapsed = { status: "CANCELLED", nextBillingDate: daysAgo(1) };
+  assert.equal(access.decideContractAccess(lapsed, null, now, 7).action, "downgrade");
+  assert.equal(access.decideContractAccess({ status: "PAUSED" }, null, now, 7).reason, "contract_paused");
+});
+
+test("audit: failed billing gets a grace window from the first failure", () => {
+  const failed = { status: "ACTIVE", lastPaymentStatus: "FAILED" };
+
+  const first = access.decideContractAccess(failed, null, now, 7);
+  assert.equal(first.action, "grace");
+  assert.equal(first.paymentFailedAt, now.toISOString());
+
+  assert.equal(access.decideContractAccess(failed, daysAgo(6), now, 7).action, "grace");
+  assert.equal(access.decideContractAccess(failed, daysAgo(7), now, 7).action, "downgrade");
+});
+
+test("audit: another linked email that still pays covers the downgrade", () => {
+  const others = [
+    { email: "b@example.com", tier: "Pro Member", isSubscription: false },
+    { email: "c@example.com", tier: "Elite Member", isSubscription: true, lastPaidAt: daysAgo(50) },
+  ];
+  assert.deepEqual(
+    access.decideDowngrade(tiers, baseRole, others, now, audit),
+    { keepRole: "Pro Member", covered: true, grantedRole: "Pro Member" }
+  );
+
+  assert.deepEqual(
+    access.decideDowngrade(tiers, baseRole, [others[1]], now, audit),
+    { keepRole: null, covered: false, grantedRole: "Members" }
+  );
+});
+
+test("rejoin: restores the tier only while the live contract still pays", () => {
+  const records = [
+    { email: "a@example.com", tier: "Elite Member", isSubscription: true, contractId: "c1", contractStatus: "ACTIVE", lastPaidAt: daysAgo(3) },
+    { email: "b@example.com", tier: "Pro Member", isSubscription: false },
+  ];
+
+  // Stored state says ACTIVE, but the contract was cancelled while they were away
+  const cancelled = new Map([["a@example.com", { status: "CANCELLED", nextBillingDate: daysAgo(1) }]]);
+  assert.equal(access.decideRejoinRole(tiers, records, cancelled, now, audit), "Pro Member");
+
+  const active = new Map([["a@example.com", { status: "ACTIVE", lastPaymentStatus: "SUCCEEDED" }]]);
+  assert.equal(access.decideRejoinRole(tiers, records, active, now, audit), "Elite Member");
+
+  // Couldn't reach Shopify: judged on the stored contract state
+  assert.equal(access.decideRejoinRole(tiers, records, new Map(), now, audit), "Elite Member");
+
+  // No contract found: the paid-date rule, and a missing date never takes access away
+  const none = new Map([["a@example.com", null]]);
+  assert.equal(access.decideRejoinRole(tiers, [{ ...records[0], lastPaidAt: daysAgo(40) }], none, now, audit), null);
+  assert.equal(access.decideRejoinRole(tiers, [{ ...records[0], lastPaidAt: null }], none, now, audit), "Elite Member");
+});
+
+test("manual /link tiers survive syncs until the orders back a higher tier", () => {
+  const manual = { tier: "Pro Member", manualTier: true };
+  assert.equal(access.keepsManualTier(tiers, manual, baseRole), true);
+  assert.equal(access.keepsManualTier(tiers, manual, "Elite Member"), false);
+  assert.equal(access.keepsManualTier(tiers, { ...manual, manualTier: false }, baseRole), false);
+});
+
+test("only one plain address counts as an email", () => {
+  assert.ok(access.isPlainEmail("first.last+shop@mail.example.co"));
+  for (const crafted of [
+    "victim@shop.com OR email:me@evil.com",
+    "victim@shop.com,me@evil.com",
+    "Victim <me@evil.com>",
+    "\"victim@shop.com\"@evil.com",
+    "group:me@evil.com;",
+    "no-at-sign",
+    "a@localhost",
+    "",
+    undefined,
+  ]) {
+    assert.equal(access.isPlainEmail(crafted), false, String(crafted));
+  }
+});
+
+test("findRevocation only fires when the stored tier is no longer backed", () => {
+  const revoked = [{ ...eliteItem, revokedReason: "refunded" }];
+  const pro = tiers.find((t) => t.role === "Pro Member");
+  const elite = tiers.find((t) => t.role === "Elite Member");
+
+  assert.deepEqual(access.findRevocation(tiers, "Elite Member", pro, revoked).reasons, ["refunded"]);
+  assert.equal(access.findRevocation(tiers, "Elite Member", elite, revoked), null);
+  assert.equal(access.findRevocation(tiers, "Pro Member", null, revoked), null);
+});
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createAuditDigest, formatDigestEntry } = require("../audit-digest");
+const { parseCsv } = require("../csv");
+
+function sampleDigest(options) {
+  const digest = createAuditDigest(options);
+  digest.add("audit_skip_missing_lastPaidAt", { email: "a@example.com", userId: "1", message: "Record missing lastPaidAt" }, "WARN");
+  digest.add("audit_downgrade_success", { email: "b@example.com", userId: "2", grantedRole: "Members", daysSincePaid: 40 }, "SUCCESS");
+  digest.add("audit_error", { email: "c@example.com", userId: "3", error: "Shopify timeout" }, "ERROR");
+  digest.add("audit_downgrade_success", { email: "d@example.com", userId: "4", grantedRole: "Members", daysSincePaid: 36 }, "SUCCESS");
+  digest.add("payment_revoked", { email: "e@example.com", userId: "5", reason: "Refunded", items: [{ title: "Pro Monthly" }] }, "WARN");
+  return digest;
+}
+
+test("counts by outcome, most frequent first", () => {
+  assert.deepEqual(sampleDigest().counts(), [
+    ["audit_downgrade_success", 2],
+    ["audit_error", 1],
+    ["audit_skip_missing_lastPaidAt", 1],
+    ["payment_revoked", 1],
+  ]);
+});
+
+test("top entries put errors and warnings first, in the order they happened", () => {
+  const digest = sampleDigest();
+  assert.deepEqual(digest.top(3).map((e) => e.email), ["c@example.com", "a@example.com", "e@example.com"]);
+  assert.equal(digest.level(), "ERROR");
+  assert.equal(createAuditDigest().level(), "INFO");
+});
+
+test("the CSV holds every entry, with masked emails when asked", () => {
+  const digest = sampleDigest({ maskEmail: (email) => `masked:${email.length}` });
+  const [header, ...rows] = parseCsv(digest.toCsv());
+
+  assert.equal(rows.length, 5);
+  const revoked = Object.fromEntries(header.map((h, i) => [h, rows[4][i]]));
+  assert.equal(revoked.email, "masked:13");
+  assert.equal(revoked.detail, "Refunded • Pro Monthly");
+  assert.ok(!digest.toCsv().includes("@example.com"));
+});
+
+test("entry lines are short and mention the member", () => {
+  const [entry] = sampleDigest().top(1);
+  assert.equal(formatDigestEntry(entry), "❌ `audit_error` • c@example.com • <@3> • Shopify timeout");
+  assert.equal(formatDigestEntry({ ...entry, detail: "x".repeat(500) }).length, 160);
+});
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseCsv } = require("../csv");
+const { parseBackfillCsv, parseMemberCell, backfillToCsv, MAX_BACKFILL_ROWS } = require("../backfill");
+
+const ID = "123456789012345678";
+
+test("parseCsv handles quotes, escaped quotes, CRLF and a BOM", () => {
+  assert.deepEqual(parseCsv('﻿a,b\r\n"x, ""y""",2\nlast,'), [
+    ["a", "b"],
+    ['x, "y"', "2"],
+    ["last", ""],
+  ]);
+});
+
+test("member cells: IDs and mentions are IDs, anything else is a username", () => {
+  assert.deepEqual(parseMemberCell(ID), { discordUserId: ID });
+  assert.deepEqual(parseMemberCell(`<@!${ID}>`), { discordUserId: ID });
+  assert.deepEqual(parseMemberCell(" @trader.joe "), { username: "trader.joe" });
+  assert.deepEqual(parseMemberCell(""), {});
+});
+
+test("headerless files are email,member", () => {
+  const { rows, errors } = parseBackfillCsv(`Pro@Example.com,${ID}\nelite@example.com,elite_fan\n`);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rows, [
+    { row: 1, email: "pro@example.com", discordUserId: ID },
+    { row: 2, email: "elite@example.com", username: "elite_fan" },
+  ]);
+});
+
+test("headers pick the columns by name, so exports with extra columns work", () => {
+  const csv = [
+    "First Name,Email,Total Spent,Discord Username",
+    "Pat,pro@example.com,120.00,pat",
+    "",
+    "Sam,elite@example.com,900.00,",
+  ].join("\n");
+  const { rows, errors } = parseBackfillCsv(csv);
+  assert.deepEqual(rows, [{ row: 2, email: "pro@example.com", username: "pat" }]);
+  assert.deepEqual(errors, [{ row: 4, email: "elite@example.com", error: "missing_member" }]);
+});
+
+test("bad emails and duplicates are reported, not dropped", () => {
+  const { rows, errors } = parseBackfillCsv(
+    `email,discordUserId\nnot-an-email,${ID}\npro@example.com,${ID}\nPRO@example.com,other\n"a@example.com OR email:b@example.com",${ID}`
+  );
+  assert.equal(rows.length, 1);
+  assert.deepEqual(errors.map((e) => [e.row, e.error]), [[2, "invalid_email"], [4, "duplicate_email"], [5, "invalid_email"]]);
+});
+
+test("unusable files throw", () => {
+  assert.throws(() => parseBackfillCsv("\n\n"), /empty/);
+  assert.throws(() => parseBackfillCsv("name,phone\nPat,555"), /email column/);
+
+  const big = Array.from({ length: MAX_BACKFILL_ROWS + 1 }, (_, i) => `u${i}@example.com,${ID}`).join("\n");
+  assert.throws(() => parseBackfillCsv(big), /Too many rows/);
+});
+
+test("the report is sorted by row", () => {
+  const csv = backfillToCsv([
+    { row: 3, email: "b@example.com", result: "linked", tier: "Pro Member" },
+    { row: 2, email: "a@example.com", result: "invalid_email" },
+  ]);
+  const [header, first, second] = csv.trim().split("\n");
+  assert.ok(header.startsWith("row,email,input,discordUserId"));
+  assert.ok(first.startsWith("2,a@example.com"));
+  assert.ok(second.startsWith("3,b@example.com"));
+});
@@ -0,0 +1,188 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+require("../logger").silent = true;
+
+const { createEmailProtector, emailProtectorFromEnv, isEmailRef } = require("../email-crypto");
+const { createSqliteRepository, rotateEmailKeys } = require("../storage");
+const { emailFingerprint } = require("../retention");
+
+const HASH_KEY = "test-hash-key-0123456789abcdef0123456789";
+const ENC_KEY = "11".repeat(32);
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "xplx-email-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const rawEmails = (dbPath) => {
+  const db = new Database(dbPath, { readonly: true });
+  try {
+    return db.prepare("SELECT email, email_enc FROM email_links ORDER BY email").all();
+  } finally {
+    db.close();
+  }
+};
+
+test("keys are keyed hashes of the normalized email", () => {
+  const p = createEmailProtector({ hashKey: HASH_KEY });
+  const key = p.keyFor(" Buyer@Example.com ");
+
+  assert.ok(isEmailRef(key));
+  assert.equal(key, p.keyFor("buyer@example.com"));
+  assert.notEqual(key, createEmailProtector({ hashKey: HASH_KEY + "x" }).keyFor("buyer@example.com"));
+  assert.equal(p.keyFor(key), key);
+  assert.equal(p.encrypt("buyer@example.com"), null);
+});
+
+test("encryption round-trips, and other keys or tampering read as null", () => {
+  const p = createEmailProtector({ hashKey: HASH_KEY, encryptionKey: ENC_KEY });
+  const blob = p.encrypt("Buyer@Example.com");
+
+  assert.equal(p.decrypt(blob), "buyer@example.com");
+  assert.notEqual(blob, p.encrypt("buyer@example.com")); // fresh IV every time
+  assert.equal(createEmailProtector({ hashKey: HASH_KEY, encryptionKey: "22".repeat(32) }).decrypt(blob), null);
+  assert.equal(p.decrypt(blob.slice(0, -4) + "AAAA"), null);
+});
+
+test("bad key config is rejected", () => {
+  assert.throws(() => createEmailProtector({ hashKey: "short" }), /at least 32/);
+  assert.throws(() => createEmailProtector({ hashKey: HASH_KEY, encryptionKey: "abcd" }), /32 bytes/);
+  assert.throws(() => createEmailProtector({ encryptionKey: ENC_KEY }), /needs EMAIL_HASH_KEY/);
+});
+
+test("production refuses to run without a hash key unless plaintext is allowed", () => {
+  assert.throws(() => emailProtectorFromEnv({ NODE_ENV: "production" }), /EMAIL_HASH_KEY is not set/);
+  assert.equal(emailProtectorFromEnv({ NODE_ENV: "production", ALLOW_PLAINTEXT_EMAILS: "true" }).hashing, false);
+  assert.equal(emailProtectorFromEnv({ NODE_ENV: "production", EMAIL_HASH_KEY: HASH_KEY }).hashing, true);
+  assert.equal(emailProtectorFromEnv({}).hashing, false);
+});
+
+test("records are stored under the hash and found by the plain email", (t) => {
+  const dbPath = path.join(tempDir(t), "test.db");
+  const protector = createEmailProtector({ hashKey: HASH_KEY, encryptionKey: ENC_KEY });
+  const repo = createSqliteRepository({ dbPath, protector });
+  const links = repo.forGuild("1");
+
+  links.upsert("buyer@example.com", { discordUserId: "42", tier: "Pro Member" });
+  links.appendEvent({ action: "grant", email: "buyer@example.com", discordUserId: "42" });
+
+  assert.equal(links.getByEmail("Buyer@Example.com").email, "buyer@example.com");
+  assert.equal(links.listEvents({ email: "buyer@example.com" })[0].email, "buyer@example.com");
+  repo.close();
+
+  const [row] = rawEmails(dbPath);
+  assert.equal(row.email, protector.keyFor("buyer@example.com"));
+  assert.ok(!fs.readFileSync(dbPath).includes("buyer@example.com"));
+});
+
+test("deletion fingerprints are keyed by the hash key, or by a secret kept in the database", (t) => {
+  const dir = tempDir(t);
+  const withKey = createEmailProtector({ hashKey: HASH_KEY });
+  const keyed = createSqliteRepository({ dbPath: path.join(dir, "keyed.db"), protector: withKey });
+  t.after(() => keyed.close());
+  const storedKey = withKey.keyFor("buyer@example.com");
+  assert.equal(keyed.emailFingerprint("buyer@example.com"), emailFingerprint(storedKey, withKey.fingerprintKey));
+
+  // A record that only holds the hashed key is forgotten under the fingerprint of its address
+  const links = keyed.forGuild("g1");
+  links.upsert("buyer@example.com", { discordUserId: "42", tier: "Pro Member" });
+  const [rec] = links.getByDiscordUser("42");
+  assert.equal(rec.email, storedKey);
+  assert.equal(keyed.emailFingerprint(rec.email), keyed.emailFingerprint(" Buyer@Example.com "));
+
+  const plainPath = path.join(dir, "plain.db");
+  const plain = createSqliteRepository({ dbPath: plainPath });
+  const fp = plain.emailFingerprint("buyer@example.com");
+  plain.close();
+
+  const reopened = createSqliteRepository({ dbPath: plainPath });
+  t.after(() => reopened.close());
+  assert.equal(reopened.emailFingerprint("buyer@example.com"), fp);
+  assert.notEqual(fp, keyed.emailFingerprint("buyer@example.com"));
+});
+
+test("first start with a key converts plaintext rows and the JSON map", (t) => {
+  const dir = tempDir(t);
+  const dbPath = path.join(dir, "test.db");
+  const jsonPath = path.join(dir, "email-map.json");
+
+  const plain = createSqliteRepository({ dbPath });
+  plain.forGuild("1").upsert("old@example.com", { discordUserId: "7", tier: "Elite Member" });
+  plain.close();
+  fs.writeFileSync(jsonPath, JSON.stringify({ "legacy@example.com": { discordUserId: "8", tier: "Pro Member" } }));
+
+  const protector = createEmailProtector({ hashKey: HASH_KEY, encryptionKey: ENC_KEY });
+  const repo = createSqliteRepository({ dbPath, importJsonPath: jsonPath, legacyGuildId: "1", protector });
+  const links = repo.forGuild("1");
+
+  assert.equal(links.getByEmail("old@example.com").tier, "Elite Member");
+  assert.equal(links.getByEmail("legacy@example.com").email, "legacy@example.com");
+  repo.close();
+
+  assert.ok(rawEmails(dbPath).every((row) => isEmailRef(row.email)));
+  const json = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+  assert.deepEqual(Object.keys(json), [protector.keyFor("legacy@example.com")]);
+  assert.equal(protector.decrypt(json[protector.keyFor("legacy@example.com")].emailEnc), "legacy@example.com");
+
+  // Wrong or missing key: refuse to start rather than lose every record
+  assert.throws(() => createSqliteRepository({ dbPath, protector: createEmailProtector({ hashKey: HASH_KEY + "x" }) }), /doesn't match/);
+  assert.throws(() => createSqliteRepository({ dbPath }), /set EMAIL_HASH_KEY/);
+});
+
+test("rotation re-keys records and history", (t) => {
+  const dbPath = path.join(tempDir(t), "test.db");
+  const from = createEmailProtector({ hashKey: HASH_KEY, encryptionKey: ENC_KEY });
+  const to = createEmailProtector({ hashKey: "another-hash-key-0123456789abcdef0123", encryptionKey: "33".repeat(32) });
+
+  const repo = createSqliteRepository({ dbPath, protector: from });
+  repo.forGuild("1").upsert("buyer@example.com", { discordUserId: "42", tier: "Pro Member" });
+  repo.forGuild("1").appendEvent({ action: "grant", email: "buyer@example.com", discordUserId: "42" });
+  repo.close();
+
+  assert.throws(() => rotateEmailKeys({ dbPath, from: to, to: from }), /don't match/);
+  assert.deepEqual(rotateEmailKeys({ dbPath, from, to }), { links: 1, events: 1, unreadableEvents: 0 });
+
+  const rotated = createSqliteRepository({ dbPath, protector: to });
+  t.after(() => rotated.close());
+  assert.equal(rotated.forGuild("1").getByEmail("buyer@example.com").discordUserId, "42");
+  assert.equal(rotated.forGuild("1").listEvents({ email: "buyer@example.com" }).length, 1);
+});
+
+test("rotating the hash key needs every address to be decryptable", (t) => {
+  const dbPath = path.join(tempDir(t), "test.db");
+  const hashOnly = createEmailProtector({ hashKey: HASH_KEY });
+
+  const repo = createSqliteRepository({ dbPath, protector: hashOnly });
+  repo.forGuild("1").upsert("buyer@example.com", { discordUserId: "42" });
+  repo.close();
+
+  const to = createEmailProtector({ hashKey: "another-hash-key-0123456789abcdef0123" });
+  assert.throws(() => rotateEmailKeys({ dbPath, from: hashOnly, to }), /can't be re-hashed/);
+});
+
+test("emails listed in older event details are rewritten to fingerprints once", (t) => {
+  const dbPath = path.join(tempDir(t), "test.db");
+  createSqliteRepository({ dbPath }).close();
+
+  // An event from before the fix, and a database that hasn't been through the rewrite yet
+  const raw = new Database(dbPath);
+  raw.prepare("DELETE FROM meta WHERE key = 'details_emails_fingerprinted'").run();
+  raw.prepare(`
+    INSERT INTO access_events (guild_id, at, action, email, discord_user_id, actor, details)
+    VALUES ('1', '2025-01-01T00:00:00Z', 'left', 'buyer@example.com', '42', 'system:members', ?)
+  `).run(JSON.stringify({ emails: ["buyer@example.com", "other@example.com"] }));
+  raw.close();
+
+  const repo = createSqliteRepository({ dbPath, protector: createEmailProtector({ hashKey: HASH_KEY, encryptionKey: ENC_KEY }) });
+  t.after(() => repo.close());
+
+  const [event] = repo.forGuild("1").listEvents({ discordUserId: "42" });
+  assert.deepEqual(event.details.emails, [repo.emailFingerprint("buyer@example.com"), repo.emailFingerprint("other@example.com")]);
+  assert.ok(!fs.readFileSync(dbPath).includes("other@example.com"));
+});
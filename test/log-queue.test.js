@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMessageQueue } = require("../log-queue");
+
+const fast = { intervalMs: 1, backoffMs: 1 };
+
+test("messages go out in order, one channel at a time", async () => {
+  const sent = [];
+  const queue = createMessageQueue({ ...fast, send: async (channelId, message) => sent.push(`${channelId}:${message}`) });
+
+  const results = await Promise.all([queue.push("a", 1), queue.push("a", 2), queue.push("b", 3), queue.push("a", 4)]);
+
+  assert.deepEqual(results, [true, true, true, true]);
+  assert.deepEqual(sent.filter((s) => s.startsWith("a:")), ["a:1", "a:2", "a:4"]);
+  assert.equal(queue.pending(), 0);
+});
+
+test("failed sends are retried, honouring retry-after", async () => {
+  let calls = 0;
+  const queue = createMessageQueue({
+    ...fast,
+    send: async () => {
+      calls++;
+      if (calls === 1) throw Object.assign(new Error("rate limited"), { retryAfter: 5 });
+      if (calls === 2) throw new Error("socket hang up");
+    },
+  });
+
+  assert.equal(await queue.push("a", "hello"), true);
+  assert.equal(calls, 3);
+});
+
+test("permanent errors and exhausted retries are reported, not dropped silently", async () => {
+  const failures = [];
+  const onFailure = ({ meta, reason, attempts }) => failures.push([meta.event, reason, attempts]);
+
+  const missing = createMessageQueue({ ...fast, onFailure, send: async () => { throw Object.assign(new Error("Unknown Channel"), { code: 10003 }); } });
+  assert.equal(await missing.push("a", "x", { event: "verify_success" }), false);
+
+  const flaky = createMessageQueue({ ...fast, retries: 2, onFailure, send: async () => { throw new Error("503"); } });
+  assert.equal(await flaky.push("a", "x", { event: "audit_end" }), false);
+
+  assert.deepEqual(failures, [["verify_success", "permanent", 1], ["audit_end", "retries_exhausted", 3]]);
+});
+
+test("a full queue drops its oldest waiting message and says so", async () => {
+  const sent = [];
+  const failures = [];
+  const queue = createMessageQueue({
+    ...fast,
+    maxQueued: 2,
+    send: async (channelId, message) => sent.push(message),
+    onFailure: ({ meta, reason }) => failures.push([meta.n, reason]),
+  });
+
+  const results = await Promise.all([1, 2, 3, 4].map((n) => queue.push("a", n, { n })));
+
+  assert.deepEqual(results, [true, false, true, true]);
+  assert.deepEqual(sent, [1, 3, 4]);
+  assert.deepEqual(failures, [[2, "overflow"]]);
+});
@@ -0,0 +1,29 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+require("../logger").silent = true;
+
+const { sendVerificationCode, setTransport } = require("../mailer");
+
+const sent = [];
+setTransport({ name: "test", send: async (msg) => sent.push(msg) });
+
+test.beforeEach(() => {
+  sent.length = 0;
+});
+
+test("the verification email is in the member's Discord language", async () => {
+  await sendVerificationCode("buyer@example.com", "123456", 10, "es-ES");
+
+  assert.equal(sent[0].to, "buyer@example.com");
+  assert.equal(sent[0].subject, "Tu código de verificación de XPLX: 123456");
+  assert.match(sent[0].text, /Caduca en 10 minutos/);
+});
+
+test("locales without a catalog get English", async () => {
+  await sendVerificationCode("buyer@example.com", "123456", 10, "ja");
+  await sendVerificationCode("buyer@example.com", "123456", 10);
+
+  assert.deepEqual(sent.map((m) => m.subject), ["Your XPLX verification code: 123456", "Your XPLX verification code: 123456"]);
+  assert.match(sent[0].text, /It expires in 10 minutes/);
+});
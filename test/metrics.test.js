@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+require("../logger").silent = true;
+
+const { createMetricsRouter } = require("../metrics");
+
+async function serve(t, options) {
+  const app = express();
+  app.use(createMetricsRouter(options));
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}/metrics`;
+}
+
+test("/metrics needs the bearer token when one is set", async (t) => {
+  const url = await serve(t, { token: "scrape-secret" });
+
+  assert.equal((await fetch(url)).status, 401);
+  assert.equal((await fetch(url, { headers: { Authorization: "Bearer wrong" } })).status, 401);
+
+  const res = await fetch(url, { headers: { Authorization: "Bearer scrape-secret" } });
+  assert.equal(res.status, 200);
+  assert.match(await res.text(), /xplx_downgrades_total/);
+});
+
+test("without a token (private METRICS_PORT listener) it is served as is", async (t) => {
+  const url = await serve(t, {});
+  assert.equal((await fetch(url)).status, 200);
+});
@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+require("../logger").silent = true;
+
+const { DAY_MS } = require("../access");
+const { emailFingerprint, findExpiredRecords } = require("../retention");
+const { createSqliteRepository } = require("../storage");
+
+const now = new Date("2025-06-01T00:00:00Z");
+const daysAgo = (n) => new Date(now.getTime() - n * DAY_MS).toISOString();
+const retention = { leftDays: 90, downgradedDays: 180 };
+
+test("fingerprints are stable, normalised, keyed and don't contain the email", () => {
+  const fp = emailFingerprint(" Buyer@Example.com ", "secret");
+  assert.match(fp, /^email:[0-9a-f]{12}$/);
+  assert.equal(fp, emailFingerprint("buyer@example.com", "secret"));
+  assert.notEqual(fp, emailFingerprint("other@example.com", "secret"));
+  assert.ok(!fp.includes("buyer"));
+
+  // Hashing a guessed address without the key doesn't match it
+  assert.notEqual(fp, emailFingerprint("buyer@example.com", "other secret"));
+  assert.throws(() => emailFingerprint("buyer@example.com"), /needs a key/);
+});
+
+test("retention picks members who left and records downgraded for too long", () => {
+  const records = [
+    { email: "left-long@example.com", tier: "Pro Member", leftAt: daysAgo(91) },
+    { email: "left-recent@example.com", tier: "Pro Member", leftAt: daysAgo(10) },
+    { email: "downgraded@example.com", tier: "Members", updatedAt: daysAgo(200) },
+    { email: "downgraded-recent@example.com", tier: "Members", updatedAt: daysAgo(30) },
+    { email: "manual@example.com", tier: "Members", manualTier: true, updatedAt: daysAgo(400) },
+    { email: "paying@example.com", tier: "Pro Member", updatedAt: daysAgo(400) },
+  ];
+
+  assert.deepEqual(
+    findExpiredRecords(records, retention, "Members", now).map(({ rec, reason }) => [rec.email, reason]),
+    [["left-long@example.com", "left"], ["downgraded@example.com", "downgraded"]]
+  );
+});
+
+test("0 days turns a rule off", () => {
+  const records = [
+    { email: "a@example.com", leftAt: daysAgo(1000) },
+    { email: "b@example.com", tier: "Members", updatedAt: daysAgo(1000) },
+  ];
+  assert.deepEqual(findExpiredRecords(records, { leftDays: 0, downgradedDays: 0 }, "Members", now), []);
+});
+
+test("forgetEmail deletes the record and redacts it in the history", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "xplx-retention-"));
+  const repo = createSqliteRepository({ dbPath: path.join(dir, "test.db") });
+  t.after(() => {
+    repo.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const links = repo.forGuild("1");
+  links.upsert("buyer@example.com", { discordUserId: "42", tier: "Pro Member" });
+  links.upsert("keep@example.com", { discordUserId: "43", tier: "Pro Member" });
+  links.appendEvent({ action: "grant", email: "buyer@example.com", discordUserId: "42", details: { emailTier: "Pro Member" } });
+  links.appendEvent({ action: "grant", email: "keep@example.com", discordUserId: "43" });
+
+  const fp = repo.emailFingerprint("buyer@example.com");
+  assert.equal(links.forgetEmail("buyer@example.com", fp), true);
+  assert.equal(links.forgetEmail("buyer@example.com", fp), false);
+
+  assert.equal(links.getByEmail("buyer@example.com"), null);
+  assert.ok(links.getByEmail("keep@example.com"));
+
+  const [redacted] = links.listEvents({ discordUserId: "42" });
+  assert.equal(redacted.email, fp);
+  assert.equal(redacted.details, null);
+  assert.equal(links.listEvents({ email: "keep@example.com" }).length, 1);
+});
+
+test("forgetting also scrubs the address from other events and emails unlinked earlier", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "xplx-retention-"));
+  const dbPath = path.join(dir, "test.db");
+  const repo = createSqliteRepository({ dbPath });
+  t.after(() => {
+    repo.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const links = repo.forGuild("1");
+  links.upsert("buyer@example.com", { discordUserId: "42", tier: "Pro Member" });
+  // Unlinked before the member asked: only the history still has it
+  links.appendEvent({ action: "grant", email: "old@example.com", discordUserId: "42" });
+  links.appendEvent({ action: "unlink", email: "old@example.com", discordUserId: "42" });
+  // Another member's event that lists the address (written before details held fingerprints)
+  links.appendEvent({ action: "reconcile", email: "keep@example.com", discordUserId: "43", details: { emails: ["keep@example.com", "buyer@example.com"] } });
+
+  const fp = repo.emailFingerprint("buyer@example.com");
+  links.forgetEmail("buyer@example.com", fp);
+  assert.deepEqual(links.forgetDiscordUser("42"), [repo.emailFingerprint("old@example.com")]);
+
+  const [other] = links.listEvents({ discordUserId: "43" });
+  assert.deepEqual(other.details.emails, ["keep@example.com", fp]);
+  assert.ok(links.listEvents({ discordUserId: "42" }).every((e) => e.email.startsWith("email:")));
+
+  repo.close();
+  const bytes = fs.readFileSync(dbPath);
+  assert.ok(!bytes.includes("buyer@example.com") && !bytes.includes("old@example.com"));
+});
@@ -0,0 +1,164 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+require("../logger").silent = true;
+
+const shopify = require("../shopify");
+const { createFakeShopify, loadFixtures, estimateQueryCost, MAX_QUERY_COST } = require("../fake-shopify");
+
+const fixtures = loadFixtures(require.resolve("./fixtures/shopify.json"));
+const fake = createFakeShopify({ fixtures });
+shopify.setShopifyTransport(fake.transport);
+
+test.beforeEach(() => {
+  shopify.invalidateOrderCache();
+  fake.requests.length = 0;
+});
+
+test("line items carry order, product and paid date (capture wins over processedAt)", async () => {
+  const items = await shopify.getOrderLineItemsByEmail("elite@example.com");
+
+  assert.deepEqual(items.map((i) => i.orderName), ["#1003", "#1003", "#1002"]);
+  const [elite, sticker] = items;
+  assert.equal(elite.productId, "gid://shopify/Product/111");
+  assert.equal(elite.isSubscription, true);
+  assert.equal(elite.sellingPlanName, "Monthly");
+  assert.equal(elite.paidAt, "2025-05-02T09:30:00Z");
+  assert.equal(sticker.isSubscription, false);
+  assert.equal(elite.revokedReason, null);
+});
+
+test("orders that were never paid are left out", async () => {
+  assert.deepEqual(await shopify.getOrderLineItemsByEmail("pending@example.com"), []);
+  assert.deepEqual(await shopify.getOrderLineItemsByEmail("nobody@example.com"), []);
+});
+
+test("refunded line items and disputed orders are marked revoked", async () => {
+  const refunded = await shopify.getOrderLineItemsByEmail("refunded@example.com");
+  assert.deepEqual(refunded.map((i) => [i.title, i.revokedReason]), [
+    ["Elite Trader Mentorship", "refunded"],
+    ["Pro Trader Bundle", null],
+  ]);
+
+  const paid = await shopify.getPaidLineItemsByEmail("refunded@example.com");
+  assert.deepEqual(paid.map((i) => i.title), ["Pro Trader Bundle"]);
+
+  // Refund lines are only fetched for partially refunded orders
+  assert.deepEqual(fake.requests.map((r) => r.operationName), ["OrdersByEmail", "OrderRefunds"]);
+  await shopify.getOrderLineItemsByEmail("elite@example.com");
+  assert.ok(!fake.requests.slice(2).some((r) => r.operationName === "OrderRefunds"));
+
+  const disputed = await shopify.getOrderLineItemsByEmail("disputed@example.com");
+  assert.equal(disputed[0].revokedReason, "chargeback");
+});
+
+test("lookups are cached per email until invalidated", async () => {
+  await shopify.getOrderLineItemsByEmail("pro@example.com");
+  await shopify.getOrderLineItemsByEmail("pro@example.com");
+  assert.equal(fake.requests.length, 1);
+
+  await shopify.getOrderLineItemsByEmail("pro@example.com", { fresh: true });
+  assert.equal(fake.requests.length, 2);
+
+  shopify.invalidateOrderCache("pro@example.com");
+  await shopify.getOrderLineItemsByEmail("pro@example.com");
+  assert.equal(fake.requests.length, 3);
+});
+
+test("subscription contracts by email (newest first) and by ID", async () => {
+  const contracts = await shopify.getSubscriptionContractsByEmail("elite@example.com");
+  assert.deepEqual(contracts.map((c) => [c.id, c.status]), [
+    ["gid://shopify/SubscriptionContract/11", "ACTIVE"],
+    ["gid://shopify/SubscriptionContract/10", "CANCELLED"],
+  ]);
+  assert.equal(contracts[0].lines[0].productId, "gid://shopify/Product/111");
+
+  const byId = await shopify.getSubscriptionContractById("10");
+  assert.equal(byId.status, "CANCELLED");
+  assert.equal(await shopify.getSubscriptionContractById("404"), null);
+});
+
+test("the email goes into the search quoted, so it can't add filter terms", async () => {
+  await shopify.getOrderLineItemsByEmail("elite@example.com");
+  await shopify.getSubscriptionContractsByEmail("elite@example.com");
+  assert.deepEqual(fake.requests.map((r) => r.variables.query), ['email:"elite@example.com"', 'email:"elite@example.com"']);
+
+  const crafted = 'x@example.com" OR email:"elite@example.com';
+  assert.deepEqual(await shopify.getOrderLineItemsByEmail(crafted), []);
+  assert.deepEqual(await shopify.getSubscriptionContractsByEmail(crafted), []);
+  assert.deepEqual(fake.requests.slice(2).map((r) => r.variables.query), [
+    'email:"x@example.com\\" OR email:\\"elite@example.com"',
+    'email:"x@example.com\\" OR email:\\"elite@example.com"',
+  ]);
+});
+
+test("webhook helpers resolve emails from order and customer IDs", async () => {
+  assert.equal(await shopify.getOrderEmailById(1001), "pro@example.com");
+  assert.equal(await shopify.getCustomerEmailById("gid://shopify/Customer/1"), "elite@example.com");
+});
+
+test("emails with orders changed since a date, for the daily payment check", async () => {
+  const emails = await shopify.getEmailsWithOrdersUpdatedSince("2025-05-02T00:00:00Z");
+  assert.deepEqual([...emails].sort(), ["disputed@example.com", "pending@example.com", "refunded@example.com", "stickers@example.com"]);
+  assert.deepEqual(fake.requests.map((r) => r.variables.query), ["updated_at:>'2025-05-02T00:00:00.000Z'"]);
+});
+
+test("a 503 is retried, a GraphQL error is not", async () => {
+  fake.failNext(503);
+  const items = await shopify.getOrderLineItemsByEmail("pro@example.com");
+  assert.equal(items.length, 1);
+  assert.equal(fake.requests.length, 2);
+  assert.equal(shopify.shopifyHealth().consecutiveFailures, 0);
+
+  fake.failNext("ERROR");
+  await assert.rejects(shopify.getOrderEmailById("1001"), /Shopify GraphQL errors/);
+  assert.equal(fake.requests.length, 3);
+  assert.equal(shopify.shopifyHealth().consecutiveFailures, 1);
+
+  await shopify.getOrderEmailById("1001");
+  assert.equal(shopify.shopifyHealth().consecutiveFailures, 0);
+});
+
+test("the fake rejects queries over Shopify's cost limit, like the real API", () => {
+  const query = `
+    query Big($first: Int!) {
+      orders(first: $first) {
+        nodes {
+          lineItems(first: 100) {
+            nodes {
+              product {
+                id
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+  assert.ok(estimateQueryCost(query, { first: 50 }) > MAX_QUERY_COST);
+  assert.ok(estimateQueryCost(query, { first: 1 }) <= MAX_QUERY_COST);
+});
+
+test("customers with many orders and big orders are paged under the cost limit", async (t) => {
+  const orders = Array.from({ length: 12 }, (_, n) => ({
+    id: `gid://shopify/Order/${5000 + n}`,
+    name: `#${5000 + n}`,
+    email: "whale@example.com",
+    processedAt: `2025-03-${String(n + 1).padStart(2, "0")}T10:00:00Z`,
+    displayFinancialStatus: "PAID",
+    lineItems: Array.from({ length: n === 0 ? 30 : 1 }, (_, i) => ({
+      id: `gid://shopify/LineItem/${5000 + n}-${i}`,
+      title: `Item ${n}-${i}`,
+    })),
+  }));
+  const big = createFakeShopify({ fixtures: { orders } });
+  shopify.setShopifyTransport(big.transport);
+  t.after(() => shopify.setShopifyTransport(fake.transport));
+
+  const items = await shopify.getOrderLineItemsByEmail("whale@example.com");
+
+  assert.equal(items.length, 11 + 30);
+  const ops = big.requests.map((r) => r.operationName);
+  assert.equal(ops.filter((op) => op === "OrdersByEmail").length, 3);
+  assert.equal(ops.filter((op) => op === "OrderLineItems").length, 1);
+});
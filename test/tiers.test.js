@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { validateTierConfig, tierMatchesItem, pickHighestTier } = require("../tiers");
+const rawTiers = require("./fixtures/tiers.json");
+
+const { tiers } = validateTierConfig(rawTiers);
+const [elite, pro] = tiers;
+
+test("tiers are sorted high → low by priority", () => {
+  assert.deepEqual(tiers.map((t) => t.role), ["Elite Member", "Pro Member"]);
+});
+
+test("matches on product ID (bare IDs become gids), SKU and title patterns", () => {
+  assert.ok(tierMatchesItem(elite, { productId: "gid://shopify/Product/111" }));
+  assert.ok(tierMatchesItem(elite, { sku: " elite-monthly " }));
+  assert.ok(tierMatchesItem(pro, { title: "The PRO trader course" }));
+  assert.ok(tierMatchesItem(pro, { title: "Pro Summer Bundle" }));
+  assert.ok(!tierMatchesItem(pro, { title: "Bundle of pro stuff" }));
+  assert.ok(!tierMatchesItem(elite, { productId: "gid://shopify/Product/222", title: "Elite" }));
+});
+
+test("pickHighestTier prefers the highest priority any item matches", () => {
+  const items = [
+    { title: "Pro Trader Course" },
+    { sku: "ELITE-MONTHLY" },
+    { title: "Sticker Pack" },
+  ];
+  assert.equal(pickHighestTier(items, tiers).role, "Elite Member");
+  assert.equal(pickHighestTier([{ title: "Sticker Pack" }], tiers), null);
+});
+
+test("validateTierConfig lists every problem at once", () => {
+  assert.throws(
+    () => validateTierConfig({
+      baseRole: "",
+      tiers: [
+        { role: "A", priority: 1, match: {} },
+        { role: "A", priority: 1, match: { titles: ["x"] } },
+      ],
+    }),
+    (err) => {
+      assert.match(err.message, /baseRole must be a non-empty string/);
+      assert.match(err.message, /role "A" is listed twice/);
+      assert.match(err.message, /priority 1 is used twice/);
+      assert.match(err.message, /unknown keys: titles/);
+      assert.match(err.message, /needs at least one/);
+      return true;
+    }
+  );
+});
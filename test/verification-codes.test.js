@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  issueCode,
+  checkCode,
+  codeAttemptsLockedFor,
+  resetCodeAttempts,
+  CODE_MAX_ATTEMPTS,
+  CODE_ATTEMPT_WINDOW_MINUTES,
+} = require("../verification-codes");
+
+const wrongCode = (code) => String((Number(code) + 1) % 1_000_000).padStart(6, "0");
+
+test("the right code links the email once", () => {
+  const { code } = issueCode("u-ok", "buyer@example.com");
+  assert.deepEqual(checkCode("u-ok", code), { ok: true, email: "buyer@example.com" });
+  assert.equal(checkCode("u-ok", code).reason, "no_pending");
+});
+
+test("a new code doesn't reset the wrong-guess count", () => {
+  let { code } = issueCode("u-guess", "buyer@example.com");
+  for (let i = 1; i < CODE_MAX_ATTEMPTS; i++) {
+    assert.equal(checkCode("u-guess", wrongCode(code)).attemptsLeft, CODE_MAX_ATTEMPTS - i);
+  }
+
+  ({ code } = issueCode("u-guess", "buyer@example.com"));
+  const last = checkCode("u-guess", wrongCode(code));
+  assert.equal(last.reason, "too_many_attempts");
+  assert.ok(last.retryInSeconds > 0);
+
+  // Even the right code is refused until the window is over
+  ({ code } = issueCode("u-guess", "buyer@example.com"));
+  assert.equal(checkCode("u-guess", code).reason, "too_many_attempts");
+  assert.ok(codeAttemptsLockedFor("u-guess") > 0);
+
+  const later = Date.now() + CODE_ATTEMPT_WINDOW_MINUTES * 60 * 1000 + 1;
+  assert.equal(codeAttemptsLockedFor("u-guess", later), 0);
+});
+
+test("an admin reset gives the guesses back", () => {
+  const { code } = issueCode("u-reset", "buyer@example.com");
+  for (let i = 0; i < CODE_MAX_ATTEMPTS; i++) checkCode("u-reset", wrongCode(code));
+  assert.ok(codeAttemptsLockedFor("u-reset") > 0);
+
+  assert.equal(resetCodeAttempts("u-reset"), CODE_MAX_ATTEMPTS);
+  const { code: fresh } = issueCode("u-reset", "buyer@example.com");
+  assert.equal(checkCode("u-reset", fresh).ok, true);
+});
@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+require("../logger").silent = true;
+
+const shopify = require("../shopify");
+const { createFakeShopify, loadFixtures } = require("../fake-shopify");
+const { validateTierConfig } = require("../tiers");
+const { decideVerification, decideSubscriptionAccess, pickTierContract, contractFields } = require("../access");
+
+// Shopify fixtures → order lookup → verify / audit decisions, the way index.js chains them
+const { tiers } = validateTierConfig(require("./fixtures/tiers.json"));
+const audit = { graceDays: 35, paymentGraceDays: 7 };
+const now = new Date("2025-06-01T00:00:00Z");
+
+const fake = createFakeShopify({ fixtures: loadFixtures(require.resolve("./fixtures/shopify.json")) });
+shopify.setShopifyTransport(fake.transport);
+
+async function verifyEmail(email, { discordUserId = "u1", linkedRecord = null, userRecords = [] } = {}) {
+  return decideVerification({
+    tiers,
+    audit,
+    email,
+    discordUserId,
+    linkedRecord,
+    userRecords,
+    items: await shopify.getOrderLineItemsByEmail(email),
+    now,
+  });
+}
+
+test("subscription buyer gets the top tier with the capture date as lastPaidAt", async () => {
+  const decision = await verifyEmail("elite@example.com");
+
+  assert.equal(decision.outcome, "granted");
+  assert.equal(decision.grantedRole, "Elite Member");
+  assert.equal(decision.isSubscription, true);
+  assert.equal(decision.lastPaidAt, "2025-05-02T09:30:00.000Z");
+});
+
+test("upgrade: Pro member verifies an Elite email", async () => {
+  const decision = await verifyEmail("elite@example.com", {
+    userRecords: [{ email: "pro@example.com", discordUserId: "u1", tier: "Pro Member", isSubscription: false }],
+  });
+
+  assert.equal(decision.beforeRole, "Pro Member");
+  assert.equal(decision.grantedRole, "Elite Member");
+});
+
+test("mismatch: paid order for a product no tier maps", async () => {
+  const decision = await verifyEmail("stickers@example.com");
+
+  assert.equal(decision.outcome, "tier_mismatch");
+  assert.deepEqual(decision.titles, ["Sticker Pack"]);
+});
+
+test("linked elsewhere: never reaches the tier logic", async () => {
+  const decision = await verifyEmail("pro@example.com", {
+    linkedRecord: { email: "pro@example.com", discordUserId: "u2", tier: "Pro Member" },
+  });
+
+  assert.equal(decision.outcome, "linked_elsewhere");
+});
+
+test("refunded Elite item leaves the still-paid Pro bundle", async () => {
+  const decision = await verifyEmail("refunded@example.com");
+
+  assert.equal(decision.outcome, "granted");
+  assert.equal(decision.grantedRole, "Pro Member");
+  assert.equal(decision.lostToRevocation, true);
+});
+
+test("pending order: no paid orders", async () => {
+  assert.equal((await verifyEmail("pending@example.com")).outcome, "no_paid_orders");
+});
+
+test("missing lastPaidAt: granted now, skipped by the audit later", async () => {
+  const decision = await verifyEmail("nodate@example.com");
+  assert.equal(decision.outcome, "granted");
+  assert.equal(decision.lastPaidAt, null);
+
+  const rec = { email: "nodate@example.com", tier: decision.tier.role, isSubscription: true, lastPaidAt: decision.lastPaidAt };
+  assert.equal(decideSubscriptionAccess(rec, null, now, audit).action, "skip");
+});
+
+test("overdue subscription without a contract is downgraded; with its active contract it is kept", async () => {
+  const rec = { email: "elite@example.com", tier: "Elite Member", isSubscription: true, lastPaidAt: "2025-04-01T10:00:00Z" };
+  assert.equal(decideSubscriptionAccess(rec, null, now, audit).reason, "overdue_60d");
+
+  const elite = tiers.find((t) => t.role === "Elite Member");
+  const contract = pickTierContract(await shopify.getSubscriptionContractsByEmail("elite@example.com"), elite);
+  assert.equal(contract.status, "ACTIVE");
+  assert.equal(contractFields(contract, now).contractCheckedAt, now.toISOString());
+  assert.equal(decideSubscriptionAccess(rec, contract, now, audit).action, "keep");
+});
@@ -0,0 +1,184 @@
+// tiers.js
+const fs = require("fs");
+
+const logger = require("./logger");
+
+/*
+  Tier config (JSON):
+  {
+    "baseRole": "Members",
+    "tiers": [
+      {
+        "role": "Elite Member",
+        "priority": 50,                       // higher wins
+        "match": {
+          "productIds": ["123", "gid://shopify/Product/123"],
+          "variantIds": ["456"],
+          "skus": ["ELITE-MONTHLY"],
+          "titlePatterns": ["ELITE TRADER MENTORSHIP", "/^elite .*mentorship$/i"]
+        }
+      }
+    ]
+  }
+
+  titlePatterns are case-insensitive "contains" matches, or a regex written as /.../flags.
+  A line item matches a tier if ANY of its rules match.
+*/
+
+const MATCH_KEYS = ["productIds", "variantIds", "skus", "titlePatterns"];
+
+function normalize(s) {
+  return (s || "").trim().toLowerCase();
+}
+
+function toGid(type, id) {
+  const s = String(id).trim();
+  return s.startsWith("gid://") ? s : `gid://shopify/${type}/${s}`;
+}
+
+function compileTitlePattern(pattern) {
+  const m = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (m) return new RegExp(m[1], m[2].replace(/[gy]/g, "")); // stateless test()
+  const needle = normalize(pattern);
+  return { test: (title) => normalize(title).includes(needle) };
+}
+
+/**
+ * Validates a parsed config and returns { baseRole, tiers } with tiers sorted high → low.
+ * Throws one Error listing every problem found.
+ */
+function validateTierConfig(raw) {
+  const problems = [];
+
+  if (!raw || typeof raw !== "object") throw new Error("Tier config must be a JSON object");
+
+  const baseRole = typeof raw.baseRole === "string" ? raw.baseRole.trim() : "";
+  if (!baseRole) problems.push("baseRole must be a non-empty string");
+
+  if (!Array.isArray(raw.tiers) || !raw.tiers.length) {
+    problems.push("tiers must be a non-empty array");
+  }
+
+  const seenRoles = new Set();
+  const seenPriorities = new Set();
+  const tiers = [];
+
+  (Array.isArray(raw.tiers) ? raw.tiers : []).forEach((t, i) => {
+    const where = `tiers[${i}]`;
+    const role = typeof t?.role === "string" ? t.role.trim() : "";
+    if (!role) problems.push(`${where}.role must be a non-empty string`);
+    else if (seenRoles.has(role)) problems.push(`${where}.role "${role}" is listed twice`);
+    seenRoles.add(role);
+
+    if (!Number.isFinite(t?.priority)) problems.push(`${where}.priority must be a number`);
+    else if (seenPriorities.has(t.priority)) problems.push(`${where}.priority ${t.priority} is used twice`);
+    seenPriorities.add(t?.priority);
+
+    const match = t?.match || {};
+    const unknown = Object.keys(match).filter((k) => !MATCH_KEYS.includes(k));
+    if (unknown.length) problems.push(`${where}.match has unknown keys: ${unknown.join(", ")}`);
+
+    for (const key of MATCH_KEYS) {
+      if (match[key] != null && (!Array.isArray(match[key]) || match[key].some((v) => typeof v !== "string" && typeof v !== "number"))) {
+        problems.push(`${where}.match.${key} must be an array of strings`);
+      }
+    }
+
+    const list = (key) => (Array.isArray(match[key]) ? match[key].map(String).filter((v) => v.trim()) : []);
+    const rules = {
+      productIds: new Set(list("productIds").map((id) => toGid("Product", id))),
+      variantIds: new Set(list("variantIds").map((id) => toGid("ProductVariant", id))),
+      skus: new Set(list("skus").map(normalize)),
+      titlePatterns: [],
+    };
+
+    for (const p of list("titlePatterns")) {
+      try {
+        rules.titlePatterns.push(compileTitlePattern(p));
+      } catch (err) {
+        problems.push(`${where}.match.titlePatterns: invalid regex ${p} (${err.message})`);
+      }
+    }
+
+    const ruleCount = rules.productIds.size + rules.variantIds.size + rules.skus.size + list("titlePatterns").length;
+    if (!ruleCount) problems.push(`${where}.match needs at least one productIds / variantIds / skus / titlePatterns entry`);
+
+    tiers.push({ role, priority: t?.priority, rules, source: match });
+  });
+
+  if (problems.length) {
+    throw new Error(`Invalid tier config:\n- ${problems.join("\n- ")}`);
+  }
+
+  tiers.sort((a, b) => b.priority - a.priority);
+
+  return { baseRole, tiers };
+}
+
+function loadTierConfig(filePath) {
+  const raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  return validateTierConfig(raw);
+}
+
+/**
+ * Does this line item (or contract line) match the tier?
+ * item: { productId, variantId, sku, title }
+ */
+function tierMatchesItem(tier, item) {
+  const { rules } = tier;
+  if (item.productId && rules.productIds.has(item.productId)) return true;
+  if (item.variantId && rules.variantIds.has(item.variantId)) return true;
+  if (item.sku && rules.skus.has(normalize(item.sku))) return true;
+  return rules.titlePatterns.some((re) => re.test(item.title || ""));
+}
+
+// Highest-priority tier any item matches (tiers are sorted high → low)
+function pickHighestTier(items, tiers) {
+  for (const t of tiers) {
+    if (items.some((item) => tierMatchesItem(t, item))) return t;
+  }
+  return null;
+}
+
+/**
+ * Holds the active config and reloads it when the file changes.
+ * A bad edit never replaces a good config: the previous one stays active.
+ */
+function createTierStore({ filePath, pollMs = 5000, onReload }) {
+  let current = loadTierConfig(filePath); // fail fast on startup
+  let loadedAt = new Date();
+
+  function reload() {
+    try {
+      current = loadTierConfig(filePath);
+      loadedAt = new Date();
+      logger.info({ event: "tiers_reloaded", path: filePath, tiers: current.tiers.length });
+      onReload?.({ ok: true, config: current });
+      return { ok: true, config: current };
+    } catch (err) {
+      const error = err?.message || String(err);
+      logger.error({ event: "tiers_reload_failed", path: filePath, error });
+      onReload?.({ ok: false, error, config: current });
+      return { ok: false, error, config: current };
+    }
+  }
+
+  fs.watchFile(filePath, { interval: pollMs }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) reload();
+  });
+
+  return {
+    get: () => current,
+    loadedAt: () => loadedAt,
+    path: filePath,
+    reload,
+  };
+}
+
+module.exports = {
+  createTierStore,
+  loadTierConfig,
+  validateTierConfig,
+  tierMatchesItem,
+  pickHighestTier,
+};
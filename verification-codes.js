@@ -0,0 +1,120 @@
+// verification-codes.js
+const crypto = require("crypto");
+
+const CODE_TTL_MINUTES = Number(process.env.VERIFY_CODE_TTL_MINUTES ?? "10");
+const CODE_MAX_ATTEMPTS = Number(process.env.VERIFY_CODE_MAX_ATTEMPTS ?? "5");
+const CODE_ATTEMPT_WINDOW_MINUTES = Number(process.env.VERIFY_CODE_ATTEMPT_WINDOW_MINUTES ?? "60");
+
+// discordUserId -> { email, codeHash, expiresAt }
+// In memory on purpose: a restart just means asking for a new code.
+const pending = new Map();
+
+// discordUserId -> { count, resetAt }: wrong guesses across every code issued in the window,
+// so asking for a new code doesn't buy more guesses.
+const guesses = new Map();
+
+function guessesInWindow(userId, now = Date.now()) {
+  const entry = guesses.get(userId);
+  if (entry && entry.resetAt <= now) {
+    guesses.delete(userId);
+    return null;
+  }
+  return entry || null;
+}
+
+// Seconds until this user may guess again (0 when they still have guesses left)
+function codeAttemptsLockedFor(userId, now = Date.now()) {
+  const entry = guessesInWindow(userId, now);
+  if (!entry || entry.count < CODE_MAX_ATTEMPTS) return 0;
+  return Math.ceil((entry.resetAt - now) / 1000);
+}
+
+function hashCode(userId, code) {
+  return crypto.createHash("sha256").update(`${userId}:${code}`).digest();
+}
+
+function pruneExpired(now = Date.now()) {
+  for (const [userId, entry] of pending) {
+    if (entry.expiresAt <= now) pending.delete(userId);
+  }
+  for (const [userId, entry] of guesses) {
+    if (entry.resetAt <= now) guesses.delete(userId);
+  }
+}
+
+/**
+ * Creates a fresh 6-digit code for this user (replaces any previous one).
+ * Returns { code, expiresAt, ttlMinutes }.
+ */
+function issueCode(userId, email) {
+  pruneExpired();
+
+  const code = String(crypto.randomInt(0, 1_000_000)).padStart(6, "0");
+  const expiresAt = Date.now() + CODE_TTL_MINUTES * 60 * 1000;
+
+  pending.set(userId, { email, codeHash: hashCode(userId, code), expiresAt });
+  return { code, expiresAt, ttlMinutes: CODE_TTL_MINUTES };
+}
+
+/**
+ * Checks a code for this user.
+ * Returns { ok: true, email } or { ok: false, reason, attemptsLeft, retryInSeconds }
+ * reason: no_pending | expired | too_many_attempts | wrong_code
+ * Wrong guesses count against the user for CODE_ATTEMPT_WINDOW_MINUTES, whichever code they were for.
+ */
+function checkCode(userId, code, now = Date.now()) {
+  const lockedFor = codeAttemptsLockedFor(userId, now);
+  if (lockedFor) {
+    pending.delete(userId);
+    return { ok: false, reason: "too_many_attempts", attemptsLeft: 0, retryInSeconds: lockedFor };
+  }
+
+  const entry = pending.get(userId);
+  if (!entry) return { ok: false, reason: "no_pending", attemptsLeft: 0 };
+
+  if (entry.expiresAt <= now) {
+    pending.delete(userId);
+    return { ok: false, reason: "expired", attemptsLeft: 0 };
+  }
+
+  const given = hashCode(userId, String(code || "").trim());
+  if (crypto.timingSafeEqual(given, entry.codeHash)) {
+    pending.delete(userId);
+    guesses.delete(userId);
+    return { ok: true, email: entry.email };
+  }
+
+  const wrong = guessesInWindow(userId, now) || { count: 0, resetAt: now + CODE_ATTEMPT_WINDOW_MINUTES * 60 * 1000 };
+  wrong.count += 1;
+  guesses.set(userId, wrong);
+
+  const attemptsLeft = CODE_MAX_ATTEMPTS - wrong.count;
+  if (attemptsLeft <= 0) {
+    pending.delete(userId);
+    return { ok: false, reason: "too_many_attempts", attemptsLeft: 0, retryInSeconds: codeAttemptsLockedFor(userId, now) };
+  }
+  return { ok: false, reason: "wrong_code", attemptsLeft };
+}
+
+// Drops a pending code (and the email it was sent to). Returns true if there was one.
+function discardCode(userId) {
+  return pending.delete(userId);
+}
+
+// Admin override (/clear-lockout): forgets the wrong guesses. Returns how many there were.
+function resetCodeAttempts(userId) {
+  const count = guessesInWindow(userId)?.count || 0;
+  guesses.delete(userId);
+  return count;
+}
+
+module.exports = {
+  issueCode,
+  checkCode,
+  discardCode,
+  codeAttemptsLockedFor,
+  resetCodeAttempts,
+  CODE_TTL_MINUTES,
+  CODE_MAX_ATTEMPTS,
+  CODE_ATTEMPT_WINDOW_MINUTES,
+};
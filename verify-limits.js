@@ -0,0 +1,110 @@
+// verify-limits.js
+// Cooldowns + failed-attempt lockout for /verify, so it can't be used to probe emails or spam inboxes.
+
+const USER_COOLDOWN_SECONDS = Number(process.env.VERIFY_USER_COOLDOWN_SECONDS ?? "60"); // one code request per member
+const EMAIL_COOLDOWN_SECONDS = Number(process.env.VERIFY_EMAIL_COOLDOWN_SECONDS ?? "300"); // one code per inbox
+const MAX_FAILURES = Number(process.env.VERIFY_MAX_FAILURES ?? "5");
+const FAILURE_WINDOW_MINUTES = Number(process.env.VERIFY_FAILURE_WINDOW_MINUTES ?? "60");
+const LOCKOUT_MINUTES = Number(process.env.VERIFY_LOCKOUT_MINUTES ?? "60");
+
+// In memory like the codes: a restart clears cooldowns and lockouts.
+const userCooldowns = new Map(); // discordUserId -> until (ms)
+const emailCooldowns = new Map(); // email -> until (ms)
+const failures = new Map(); // discordUserId -> [failedAt (ms)]
+const lockouts = new Map(); // discordUserId -> until (ms)
+
+function secondsLeft(map, key, now) {
+  const until = map.get(key);
+  if (!until) return 0;
+  if (until <= now) {
+    map.delete(key);
+    return 0;
+  }
+  return Math.ceil((until - now) / 1000);
+}
+
+function pruneExpired(now = Date.now()) {
+  for (const map of [userCooldowns, emailCooldowns, lockouts]) {
+    for (const [key, until] of map) if (until <= now) map.delete(key);
+  }
+  const windowStart = now - FAILURE_WINDOW_MINUTES * 60 * 1000;
+  for (const [userId, times] of failures) {
+    const recent = times.filter((t) => t > windowStart);
+    if (recent.length) failures.set(userId, recent);
+    else failures.delete(userId);
+  }
+}
+
+// Seconds until this member may try again (0 = not locked)
+function lockoutSecondsLeft(userId, now = Date.now()) {
+  return secondsLeft(lockouts, userId, now);
+}
+
+function userCooldownSecondsLeft(userId, now = Date.now()) {
+  return secondsLeft(userCooldowns, userId, now);
+}
+
+function emailCooldownSecondsLeft(email, now = Date.now()) {
+  return secondsLeft(emailCooldowns, email, now);
+}
+
+// Call when a code is actually sent
+function startCooldowns(userId, email, now = Date.now()) {
+  pruneExpired(now);
+  userCooldowns.set(userId, now + USER_COOLDOWN_SECONDS * 1000);
+  emailCooldowns.set(email, now + EMAIL_COOLDOWN_SECONDS * 1000);
+}
+
+/**
+ * Counts a failed attempt (bad email, wrong code, no purchase, ...).
+ * Returns { failures, lockedNow, lockedUntil } — lockedNow is true only for the attempt that tripped the lockout.
+ */
+function recordFailure(userId, now = Date.now()) {
+  pruneExpired(now);
+
+  const times = [...(failures.get(userId) || []), now];
+  failures.set(userId, times);
+
+  if (times.length < MAX_FAILURES || lockouts.has(userId)) {
+    return { failures: times.length, lockedNow: false, lockedUntil: lockouts.get(userId) || null };
+  }
+
+  const lockedUntil = now + LOCKOUT_MINUTES * 60 * 1000;
+  lockouts.set(userId, lockedUntil);
+  failures.delete(userId);
+  return { failures: times.length, lockedNow: true, lockedUntil };
+}
+
+// A successful verification wipes the slate
+function clearFailures(userId) {
+  failures.delete(userId);
+}
+
+/**
+ * Admin override: removes the lockout, failure count and cooldown for this member.
+ * Returns what was cleared: { lockout, failures, cooldown }.
+ */
+function clearLockout(userId, now = Date.now()) {
+  const cleared = {
+    lockout: lockoutSecondsLeft(userId, now) > 0,
+    failures: failures.get(userId)?.length || 0,
+    cooldown: userCooldownSecondsLeft(userId, now) > 0,
+  };
+  lockouts.delete(userId);
+  failures.delete(userId);
+  userCooldowns.delete(userId);
+  return cleared;
+}
+
+module.exports = {
+  lockoutSecondsLeft,
+  userCooldownSecondsLeft,
+  emailCooldownSecondsLeft,
+  startCooldowns,
+  recordFailure,
+  clearFailures,
+  clearLockout,
+  MAX_FAILURES,
+  FAILURE_WINDOW_MINUTES,
+  LOCKOUT_MINUTES,
+};
@@ -0,0 +1,90 @@
+// webhooks.js
+const crypto = require("crypto");
+const express = require("express");
+
+const logger = require("./logger");
+
+// Shopify retries a webhook for up to 48h, keep IDs at least that long
+const DEDUPE_TTL_MS = 48 * 60 * 60 * 1000;
+
+const SUPPORTED_TOPICS = new Set([
+  "orders/paid",
+  "orders/cancelled",
+  "refunds/create",
+  "disputes/create",
+  "disputes/update",
+  "subscription_contracts/update",
+]);
+
+function verifyShopifyHmac(rawBody, hmacHeader, secret) {
+  if (!rawBody || !hmacHeader || !secret) return false;
+
+  const expected = crypto.createHmac("sha256", secret).update(rawBody).digest();
+  const received = Buffer.from(String(hmacHeader), "base64");
+
+  if (received.length !== expected.length) return false;
+  return crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Express router for Shopify webhooks.
+ * Verifies the HMAC, drops duplicate deliveries, answers 200 right away
+ * and hands { topic, webhookId, shopDomain, payload } to onWebhook.
+ */
+function createShopifyWebhookRouter({ secret, onWebhook }) {
+  const router = express.Router();
+  const seen = new Map(); // webhookId -> receivedAt (ms)
+
+  function pruneSeen(now) {
+    for (const [id, at] of seen) {
+      if (now - at > DEDUPE_TTL_MS) seen.delete(id);
+    }
+  }
+
+  router.post("/", express.raw({ type: "*/*" }), (req, res) => {
+    const topic = req.get("X-Shopify-Topic") || "";
+    const webhookId = req.get("X-Shopify-Webhook-Id") || "";
+    const shopDomain = req.get("X-Shopify-Shop-Domain") || "";
+
+    if (!verifyShopifyHmac(req.body, req.get("X-Shopify-Hmac-Sha256"), secret)) {
+      logger.warn({ event: "webhook_bad_signature", topic, webhookId, shopDomain });
+      return res.status(401).send("Invalid signature");
+    }
+
+    const now = Date.now();
+    pruneSeen(now);
+
+    if (webhookId && seen.has(webhookId)) {
+      logger.info({ event: "webhook_duplicate", topic, webhookId });
+      return res.status(200).send("Duplicate");
+    }
+
+    if (!SUPPORTED_TOPICS.has(topic)) {
+      logger.info({ event: "webhook_ignored_topic", topic, webhookId });
+      return res.status(200).send("Ignored");
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(req.body.toString("utf8"));
+    } catch {
+      logger.warn({ event: "webhook_bad_json", topic, webhookId });
+      return res.status(400).send("Invalid JSON");
+    }
+
+    if (webhookId) seen.set(webhookId, now);
+
+    // Shopify wants an answer within 5 seconds, do the work after replying
+    res.status(200).send("OK");
+
+    Promise.resolve()
+      .then(() => onWebhook({ topic, webhookId, shopDomain, payload }))
+      .catch((err) => {
+        logger.error({ event: "webhook_handler_error", topic, webhookId, error: err?.message || String(err) });
+      });
+  });
+
+  return router;
+}
+
+module.exports = { createShopifyWebhookRouter, verifyShopifyHmac, SUPPORTED_TOPICS };